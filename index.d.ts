@@ -0,0 +1,211 @@
+/// <reference types="node" />
+
+import { Readable } from 'stream';
+
+// The HyperExpress Request and Response objects are kept structural so these definitions do not depend on hyper-express
+type Request = {
+    headers: Record<string, string>;
+    body?: any;
+    [property: string]: any;
+};
+type Response = {
+    [property: string]: any;
+};
+
+type Middleware = (request: Request, response: Response) => Promise<void>;
+type Resolvable<T> = T | ((request: Request) => T | Promise<T>);
+type MediaType = string | ((request: Request) => boolean);
+
+export class BodyParserError extends Error {
+    constructor(status: number, type: string, message: string, properties?: Record<string, any>);
+    name: 'BodyParserError';
+    status: number;
+    type: string;
+    limit?: string;
+    expected?: any;
+    received?: any;
+    errors?: SchemaError[];
+    line?: number;
+    body?: any;
+}
+
+export type ErrorHandler = (error: BodyParserError, request: Request, response: Response) => void | Promise<void>;
+
+export type VerifyCallback = (
+    request: Request,
+    response: Response,
+    buffer: Buffer,
+    encoding: string
+) => boolean | Promise<boolean>;
+
+export type ParserEventName = 'start' | 'decompressed' | 'verified' | 'parsed' | 'rejected';
+
+export interface ParserEvent {
+    event: ParserEventName;
+    parser: string;
+    request: Request;
+    encoding: string;
+    charset?: string;
+    wire_bytes?: number;
+    inflated_bytes?: number;
+    duration: number;
+    error?: BodyParserError;
+}
+
+export interface SchemaError {
+    path: string;
+    message: string;
+}
+
+export interface SchemaValidator {
+    validate(value: any): { value: any; errors?: SchemaError[] } | Promise<{ value: any; errors?: SchemaError[] }>;
+}
+
+export interface ParserOptions {
+    inflate?: Resolvable<boolean>;
+    encodings?: string[];
+    limit?: Resolvable<string | number>;
+    inflatedLimit?: Resolvable<string | number>;
+    requireLength?: boolean;
+    maxRatio?: number;
+    type?: MediaType | string[];
+    onError?: ErrorHandler | 'passthrough';
+    instrumentation?: (event: ParserEventName, payload: ParserEvent) => void;
+}
+
+export interface BufferedParserOptions extends ParserOptions {
+    verify?: VerifyCallback;
+    lazy?: boolean;
+}
+
+export interface RawOptions extends BufferedParserOptions {}
+
+export interface TextOptions extends BufferedParserOptions {
+    defaultCharset?: Resolvable<string>;
+}
+
+export interface JSONOptions extends BufferedParserOptions {
+    reviver?: (this: any, key: string, value: any) => any;
+    schema?: object | SchemaValidator;
+    protoAction?: 'error' | 'remove' | 'ignore';
+    maxDepth?: number;
+    maxKeys?: number;
+    bigint?: 'lossy' | 'string' | 'bigint';
+    strict?: Resolvable<boolean>;
+}
+
+export interface URLEncodedOptions extends ParserOptions {
+    extended?: boolean;
+    parameterLimit?: number;
+    depth?: number;
+    allowDots?: boolean;
+    arrayLimit?: number;
+    charset?: 'utf-8' | 'iso-8859-1';
+    charsetSentinel?: boolean;
+    verify?: VerifyCallback;
+    schema?: object | SchemaValidator;
+}
+
+export interface MultipartFile {
+    field: string;
+    name: string;
+    extension: string;
+    encoding: string;
+    mime_type: string;
+    [property: string]: any;
+}
+
+export interface StorageEngine<T extends object = object> {
+    handle(stream: Readable, file: MultipartFile): Promise<T>;
+    remove(file: MultipartFile & T): Promise<void>;
+}
+
+export interface MultipartOptions extends ParserOptions {
+    limits?: {
+        fileSize?: number;
+        fieldSize?: number;
+        files?: number;
+        fields?: number;
+        parts?: number;
+    };
+    storage?: StorageEngine;
+    filter?: (file: MultipartFile, request: Request) => boolean | Promise<boolean>;
+}
+
+export interface NDJSONOptions extends ParserOptions {
+    onRecord?: (record: any, line: number, request: Request) => void | Promise<void>;
+    reviver?: (this: any, key: string, value: any) => any;
+    lineLimit?: string | number;
+}
+
+export interface CustomParserOptions extends BufferedParserOptions {}
+
+export interface BinaryOptions extends CustomParserOptions {
+    maxDepth?: number;
+}
+
+export interface ProtobufOptions extends Omit<BufferedParserOptions, 'type'> {
+    type: { decode(buffer: Buffer): any };
+    mediaType?: MediaType;
+}
+
+export interface AutoOptions {
+    json?: JSONOptions | boolean;
+    ndjson?: NDJSONOptions | boolean;
+    urlencoded?: URLEncodedOptions | boolean;
+    multipart?: MultipartOptions | boolean;
+    text?: TextOptions | boolean;
+    raw?: RawOptions | boolean;
+    fallback?: 'next' | 'reject';
+    onError?: ErrorHandler | 'passthrough';
+}
+
+export interface CustomFormat {
+    name: string;
+    type: MediaType | string[];
+    decode(buffer: Buffer, request: Request): any;
+}
+
+export interface HMACVerifierOptions {
+    header: string;
+    secret: Resolvable<string | Buffer | Array<string | Buffer>>;
+    algorithm?: string;
+    prefix?: string;
+    encoding?: 'hex' | 'base64' | 'base64url';
+    fields?: { signature: string; timestamp?: string };
+    payload?: (buffer: Buffer, request: Request, timestamp?: string) => string | Buffer;
+}
+
+export interface TimestampVerifierOptions {
+    header: string;
+    field?: string;
+    tolerance?: number;
+    unit?: 'seconds' | 'milliseconds';
+}
+
+export function raw(options?: RawOptions): Middleware;
+export function text(options?: TextOptions): Middleware;
+export function json(options?: JSONOptions): Middleware;
+export function urlencoded(options?: URLEncodedOptions): Middleware;
+export function multipart(options?: MultipartOptions): Middleware;
+export function ndjson(options?: NDJSONOptions): Middleware;
+export function cbor(options?: BinaryOptions): Middleware;
+export function msgpack(options?: BinaryOptions): Middleware;
+export function protobuf(options: ProtobufOptions): Middleware;
+export function auto(options?: AutoOptions): Middleware;
+export function createParser(format: CustomFormat): (options?: CustomParserOptions) => Middleware;
+export function setInstrumentation(handler?: (event: ParserEventName, payload: ParserEvent) => void): void;
+
+export const storage: {
+    disk(options?: {
+        directory?: string;
+        filename?: (file: MultipartFile) => string;
+    }): StorageEngine<{ path: string; size: number }>;
+    memory(): StorageEngine<{ buffer: Buffer; size: number }>;
+};
+
+export const verifiers: {
+    hmac(options: HMACVerifierOptions): VerifyCallback;
+    timestamp(options: TimestampVerifierOptions): VerifyCallback;
+    all(...verifiers: VerifyCallback[]): VerifyCallback;
+};
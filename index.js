@@ -1,9 +1,37 @@
 const raw = require('./src/components/raw.js');
 const text = require('./src/components/text.js');
 const json = require('./src/components/json.js');
+const urlencoded = require('./src/components/urlencoded.js');
+const multipart = require('./src/components/multipart.js');
+const ndjson = require('./src/components/ndjson.js');
+const cbor = require('./src/components/cbor.js');
+const msgpack = require('./src/components/msgpack.js');
+const protobuf = require('./src/components/protobuf.js');
+const auto = require('./src/components/auto.js');
+const createParser = require('./src/components/parser.js');
+const disk = require('./src/storage/disk.js');
+const memory = require('./src/storage/memory.js');
+const verifiers = require('./src/verifiers.js');
+const { BodyParserError } = require('./src/errors.js');
+const { set_instrumentation } = require('./src/instrumentation.js');
 
 module.exports = {
     raw,
     text,
     json,
+    urlencoded,
+    multipart,
+    ndjson,
+    cbor,
+    msgpack,
+    protobuf,
+    auto,
+    createParser,
+    storage: {
+        disk,
+        memory,
+    },
+    verifiers,
+    BodyParserError,
+    setInstrumentation: set_instrumentation,
 };
@@ -0,0 +1,236 @@
+const { BodyParserError } = require('./errors.js');
+
+/**
+ * @typedef {Object} CBOROptions
+ * @property {Number} max_depth - The maximum nesting depth of arrays, maps and tags.
+ */
+
+/**
+ * Decodes the provided CBOR (RFC 8949) data item into a Javascript value.
+ * Byte strings are decoded into Buffers, integers beyond the safe integer range into BigInts and map keys into strings.
+ * Note! Every declared length is asserted against the remaining bytes before anything is allocated so the decoded size is bounded by the body size.
+ *
+ * @param {Buffer} buffer
+ * @param {CBOROptions} options
+ * @returns {*}
+ */
+function decode_cbor(buffer, options) {
+    const { max_depth } = options;
+    let index = 0;
+
+    // Throws a SyntaxError describing the current position
+    const unexpected = (message) => {
+        throw new SyntaxError(`${message} in CBOR at position ${index}`);
+    };
+
+    // Ensures the provided number of bytes are remaining in the buffer
+    const ensure = (length) => {
+        if (length > buffer.length - index) unexpected('Unexpected end of data');
+    };
+
+    // Ensures the nesting depth does not exceed the maximum depth
+    const enter = (depth) => {
+        if (depth > max_depth)
+            throw new BodyParserError(400, 'depth.exceeded', `CBOR body exceeded the maxDepth of ${max_depth}`, {
+                limit: 'maxDepth',
+                expected: max_depth,
+            });
+    };
+
+    // Reads the argument of a data item header as a number or a BigInt for 64 bit values beyond the safe range
+    const read_argument = (info) => {
+        if (info < 24) return info;
+        switch (info) {
+            case 24:
+                ensure(1);
+                return buffer.readUInt8(index++);
+            case 25:
+                ensure(2);
+                index += 2;
+                return buffer.readUInt16BE(index - 2);
+            case 26:
+                ensure(4);
+                index += 4;
+                return buffer.readUInt32BE(index - 4);
+            case 27: {
+                ensure(8);
+                index += 8;
+                const value = buffer.readBigUInt64BE(index - 8);
+                return value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value;
+            }
+            default:
+                unexpected(`Invalid additional information ${info}`);
+        }
+    };
+
+    // Reads a definite length argument which must be a safe number
+    const read_length = (info) => {
+        const length = read_argument(info);
+        if (typeof length !== 'number') unexpected('Length exceeds the body');
+        return length;
+    };
+
+    // Reads the chunks of an indefinite length byte or text string until the break code
+    const read_chunks = (major) => {
+        const chunks = [];
+        while (true) {
+            ensure(1);
+            if (buffer[index] === 0xff) {
+                index++;
+                return Buffer.concat(chunks);
+            }
+
+            // Each chunk must be a definite length string of the same major type
+            const initial = buffer[index++];
+            if (initial >> 5 !== major || (initial & 0x1f) === 31) unexpected('Invalid indefinite length string chunk');
+            const length = read_length(initial & 0x1f);
+            ensure(length);
+            chunks.push(buffer.subarray(index, (index += length)));
+        }
+    };
+
+    // Reads a map entry onto the provided object with the key converted to a string
+    const read_entry = (object, depth) => {
+        const key = read_value(depth);
+        if (typeof key !== 'string' && typeof key !== 'number' && typeof key !== 'bigint')
+            unexpected('Unsupported map key type');
+        const value = read_value(depth);
+
+        // Define the key as an own property as assignment would change the prototype of the object
+        Object.defineProperty(object, String(key), { value, writable: true, enumerable: true, configurable: true });
+    };
+
+    const read_value = (depth) => {
+        ensure(1);
+        const initial = buffer[index++];
+        const major = initial >> 5;
+        const info = initial & 0x1f;
+
+        switch (major) {
+            case 0:
+                // Unsigned integer
+                return read_argument(info);
+            case 1: {
+                // Negative integer
+                const value = read_argument(info);
+                return typeof value === 'bigint' || value >= Number.MAX_SAFE_INTEGER ? -1n - BigInt(value) : -1 - value;
+            }
+            case 2:
+            case 3: {
+                // Byte string or text string
+                let bytes;
+                if (info === 31) {
+                    bytes = read_chunks(major);
+                } else {
+                    const length = read_length(info);
+                    ensure(length);
+                    bytes = buffer.subarray(index, (index += length));
+                }
+
+                return major === 2 ? Buffer.from(bytes) : bytes.toString('utf8');
+            }
+            case 4: {
+                // Array
+                enter(depth + 1);
+                const array = [];
+                if (info === 31) {
+                    while ((ensure(1), buffer[index] !== 0xff)) array.push(read_value(depth + 1));
+                    index++;
+                } else {
+                    // Every item is at least one byte so the length can not exceed the remaining bytes
+                    const length = read_length(info);
+                    ensure(length);
+                    for (let i = 0; i < length; i++) array.push(read_value(depth + 1));
+                }
+
+                return array;
+            }
+            case 5: {
+                // Map
+                enter(depth + 1);
+                const object = {};
+                if (info === 31) {
+                    while ((ensure(1), buffer[index] !== 0xff)) read_entry(object, depth + 1);
+                    index++;
+                } else {
+                    // Every key and value is at least one byte so the length can not exceed the remaining bytes
+                    const length = read_length(info);
+                    ensure(length * 2);
+                    for (let i = 0; i < length; i++) read_entry(object, depth + 1);
+                }
+
+                return object;
+            }
+            case 6: {
+                // Tagged data item
+                const tag = read_argument(info);
+                enter(depth + 1);
+                const value = read_value(depth + 1);
+
+                // Convert bignums into BigInts and ignore any other tags
+                if ((tag === 2 || tag === 3) && Buffer.isBuffer(value)) {
+                    const number = value.length > 0 ? BigInt(`0x${value.toString('hex')}`) : 0n;
+                    return tag === 2 ? number : -1n - number;
+                }
+
+                return value;
+            }
+            default:
+                // Simple values and floating point numbers
+                switch (info) {
+                    case 20:
+                        return false;
+                    case 21:
+                        return true;
+                    case 22:
+                        return null;
+                    case 23:
+                        return undefined;
+                    case 24:
+                        ensure(1);
+                        index++;
+                        return undefined;
+                    case 25:
+                        ensure(2);
+                        index += 2;
+                        return read_half(buffer.readUInt16BE(index - 2));
+                    case 26:
+                        ensure(4);
+                        index += 4;
+                        return buffer.readFloatBE(index - 4);
+                    case 27:
+                        ensure(8);
+                        index += 8;
+                        return buffer.readDoubleBE(index - 8);
+                    default:
+                        if (info < 20) return undefined;
+                        index--;
+                        unexpected(`Unexpected initial byte 0x${initial.toString(16)}`);
+                }
+        }
+    };
+
+    // Decode the whole body and ensure there is nothing after the data item
+    const result = read_value(0);
+    if (index < buffer.length) unexpected('Unexpected data after the data item');
+    return result;
+}
+
+/**
+ * Converts an IEEE 754 half precision float into a number.
+ *
+ * @param {Number} half
+ * @returns {Number}
+ */
+function read_half(half) {
+    const sign = half & 0x8000 ? -1 : 1;
+    const exponent = (half >> 10) & 0x1f;
+    const mantissa = half & 0x3ff;
+    if (exponent === 0) return sign * 2 ** -14 * (mantissa / 1024);
+    if (exponent === 31) return mantissa ? NaN : sign * Infinity;
+    return sign * 2 ** (exponent - 15) * (1 + mantissa / 1024);
+}
+
+module.exports = {
+    decode_cbor,
+};
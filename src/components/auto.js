@@ -0,0 +1,116 @@
+const create_raw_parser = require('./raw.js');
+const create_text_parser = require('./text.js');
+const create_json_parser = require('./json.js');
+const create_ndjson_parser = require('./ndjson.js');
+const create_multipart_parser = require('./multipart.js');
+const create_urlencoded_parser = require('./urlencoded.js');
+const { BodyParserError } = require('../errors.js');
+const { has_body, validate_request, defer_default, reject_body, passthrough_error } = require('../shared.js');
+const { start_trace } = require('../instrumentation.js');
+
+// The parsers which can be dispatched to in order of precedence from the most to the least specific content type
+const PARSERS = {
+    json: create_json_parser,
+    ndjson: create_ndjson_parser,
+    urlencoded: create_urlencoded_parser,
+    multipart: create_multipart_parser,
+    text: create_text_parser,
+    raw: create_raw_parser,
+};
+
+// The parsers which are enabled when none are specified in the options
+const DEFAULT_PARSERS = ['json', 'urlencoded', 'text', 'raw'];
+
+/**
+ * Creates an auto-negotiating body parsing middleware which dispatches each request to exactly one parser based on its content type.
+ * The name of the parser which parsed the body is written to the Request.bodyParser property.
+ * Note! When none of the parser options are set, the json(), urlencoded(), text() and raw() parsers are enabled with their default options.
+ * Once any parser option is set, only the parsers which are set to `true` or an options object are enabled.
+ *
+ * @param {Object} options - Options object for Auto body parser
+ * @param {(Object|Boolean)=} options.json When set, enables the json() parser with these options. When `false`, the json() parser is disabled.
+ * @param {(Object|Boolean)=} options.ndjson When set, enables the ndjson() parser with these options. When `false`, the ndjson() parser is disabled.
+ * @param {(Object|Boolean)=} options.urlencoded When set, enables the urlencoded() parser with these options. When `false`, the urlencoded() parser is disabled.
+ * @param {(Object|Boolean)=} options.multipart When set, enables the multipart() parser with these options. When `false`, the multipart() parser is disabled.
+ * @param {(Object|Boolean)=} options.text When set, enables the text() parser with these options. When `false`, the text() parser is disabled.
+ * @param {(Object|Boolean)=} options.raw When set, enables the raw() parser with these options. When `false`, the raw() parser is disabled.
+ * @param {String=} options.fallback The behavior when no parser matches the content type of a request with a body. When 'next', the request is passed through without a parsed body; when 'reject', the request is rejected with a 415 HTTP response. Defaults to 'next'.
+ * @param {(function(BodyParserError, HyperExpress.Request, HyperExpress.Response):(void|Promise<void>)|String)=} options.onError When set, the onError callback is called to respond to requests rejected by the fallback instead of sending the default RFC 7807 problem details JSON response. When set to 'passthrough', errors are thrown to the global HyperExpress error handler instead.
+ */
+function create_auto_parser(options = {}) {
+    // Destructure the options object with defaults
+    const { fallback = 'next', onError } = options;
+
+    // Ensure the fallback property is one of the supported behaviors
+    if (fallback !== 'next' && fallback !== 'reject')
+        throw new Error("HyperExpress.BodyParser.auto(options) -> options.fallback must be 'next' or 'reject'");
+
+    // Ensure the onError property is a function or 'passthrough' when it exists
+    if (onError !== undefined && typeof onError !== 'function' && onError !== 'passthrough')
+        throw new Error("HyperExpress.BodyParser.auto(options) -> options.onError must be a function or 'passthrough'");
+
+    // Ensure each of the parser properties is an object or a boolean when it exists
+    for (const name of Object.keys(PARSERS))
+        if (options[name] !== undefined && typeof options[name] !== 'object' && typeof options[name] !== 'boolean')
+            throw new Error(`HyperExpress.BodyParser.auto(options) -> options.${name} must be an object or a boolean`);
+
+    // Create each of the enabled parsers in order of precedence
+    // Note: The default parsers are only used when none of the parser properties exist so disabled parsers are never created
+    const configured = Object.keys(PARSERS).filter((name) => options[name] !== undefined);
+    const names = configured.length > 0 ? configured.filter((name) => options[name] !== false) : DEFAULT_PARSERS;
+    const parsers = names.map((name) => PARSERS[name](typeof options[name] === 'object' ? options[name] : {}));
+
+    // Determine whether any of the parsers is lazy so requests they do not parse still have a Request.parsedBody() method
+    const lazy = parsers.some((parser) => parser._conditions.lazy);
+
+    // Generate the conditions utilized when rejecting requests through the fallback
+    const conditions = {
+        name: 'auto',
+        on_error: onError,
+    };
+
+    // Return the middleware function
+    return async (request, response) => {
+        try {
+            // Find the first parser which matches the content type of this request
+            const parser = parsers.find((parser) => parser._conditions.match_type(request));
+            if (parser) {
+                // Initialize the default body properties of the request as the parser would
+                parser._initialize(request);
+
+                // Validate this request against the conditions of the parser to determine if we should parse it
+                // Note: This ensures received chunked bodies are still rejected when the parser requires a length
+                if (validate_request(request, parser._conditions)) {
+                    // Record which parser is parsing this request and parse the body with it
+                    request.bodyParser = parser._conditions.name;
+                    return await parser._parse(request, response);
+                }
+            } else if (fallback === 'reject' && !request.received && has_body(request)) {
+                // Reject with an HTTP 415 error as the fallback does not allow unmatched requests with a body to pass through
+                // Note: The rejection is traced with the conditions of this middleware as no parser traced the request
+                start_trace(request, conditions);
+                return await reject_body(
+                    request,
+                    response,
+                    conditions,
+                    new BodyParserError(
+                        415,
+                        'type.unsupported',
+                        `Unsupported content type "${request.headers['content-type']}"`,
+                        {
+                            expected: parsers.map((parser) => parser._conditions.name),
+                            received: request.headers['content-type'],
+                        }
+                    )
+                );
+            }
+
+            // Resolve the Request.parsedBody() method with the default body as there is nothing to parse
+            if (lazy) defer_default(request);
+        } catch (error) {
+            return passthrough_error(error);
+        }
+    };
+}
+
+module.exports = create_auto_parser;
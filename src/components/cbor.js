@@ -0,0 +1,33 @@
+const create_parser = require('./parser.js');
+const { decode_cbor } = require('../cbor.js');
+
+/**
+ * Creates a CBOR (RFC 8949) body parsing middleware which will decode incoming body data into the Request.body property under provided option based conditions.
+ * Byte strings are decoded into Buffers, integers beyond the safe integer range into BigInts and map keys into strings.
+ * Note! This parser accepts all of the options of the raw() parser and rejects malformed bodies with a 400 HTTP response.
+ *
+ * @param {Object} options - Options object for CBOR body parser
+ * @param {Number=} options.maxDepth Controls the maximum nesting depth of arrays, maps and tags. Deeper bodies are rejected with a 400 HTTP response. Defaults to 64.
+ * @param {(String|Function)=} options.type The `type` option is used to determine what media type the middleware will parse. Can be a string or a function. If a function, it will be passed the `Request` object and should return a boolean. If a string, it will be used to match the media type. Defaults to 'application/cbor'.
+ */
+function create_cbor_parser(options = {}) {
+    // Destructure the options object with defaults
+    const { maxDepth = 64 } = options;
+
+    // Ensure the maxDepth property is a positive number
+    if (typeof maxDepth !== 'number' || isNaN(maxDepth) || maxDepth <= 0)
+        throw new Error('HyperExpress.BodyParser.cbor(options) -> options.maxDepth must be a positive number');
+
+    // Generate the options passed to the CBOR decoder
+    const decode_options = {
+        max_depth: maxDepth,
+    };
+
+    return create_parser({
+        name: 'cbor',
+        type: 'application/cbor',
+        decode: (buffer) => decode_cbor(buffer, decode_options),
+    })(options);
+}
+
+module.exports = create_cbor_parser;
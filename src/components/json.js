@@ -1,54 +1,93 @@
-const bytes = require('bytes');
-const type_is = require('type-is');
-
-const { validate_request, attempt_body } = require('../shared.js');
+const { safe_parse } = require('../safe_json.js');
+const { compile_schema } = require('../schema.js');
+const { BodyParserError } = require('../errors.js');
+const { create_conditions, create_middleware, reject_body, attempt_body } = require('../shared.js');
 
 /**
  * Creates a JSON (Object) body parsing middleware which will parse incoming body data into the Request.body property under provided option based conditions.
  * Note! This middleware will send a 400 HTTP Response if JSON parsing or validation fails.
  *
- * @param {Object} options - Options object for Raw body parser
+ * @param {Object} options - Options object for JSON body parser which also accepts the shared ParserOptions
  * @param {Function=} options.reviver The reviver option is passed to the JSON.parse function as its second argument.
- * @param {Boolean=} options.strict When set to `true`, will only accept arrays and objects; when `false`, will accept any JSON type. Defaults to `true`.
- * @param {Boolean=} options.inflate When set to `true`, then deflated (compressed) bodies will be inflated; when `false`, deflated bodies are rejected. Defaults to `true`.
- * @param {(String|Number)=} options.limit Controls the maximum request body size. If this is a number, then the value specifies the number of bytes; if it is a string, the value is passed to the bytes library for parsing. Defaults to '100kb'.
- * @param {(String|Function)=} options.type The `type` option is used to determine what media type the middleware will parse. Can be a string or a function. If a function, it will be passed the `Request` object and should return a boolean. If a string, it will be used to match the media type. Defaults to 'application/json'.
- * @param {function(HyperExpress.Request, HyperExpress.Response, Buffer, String):boolean=} options.verify When set, the verify callback is called before the body is parsed. If the callback returns false, the body is rejected and the request is aborted with a 403 HTTP response.
+ * @param {(Object|{validate: function(*):{value: *, errors: Array=}})=} options.schema When set, the parsed body is validated against this JSON Schema which is compiled once when the middleware is created. Any validator which implements the `validate(value) -> { value, errors }` adapter interface can also be used. Invalid bodies are rejected with a 422 HTTP response and coerced values and defaults are reflected on the Request.body property.
+ * @param {String=} options.protoAction The action to take when the body contains prototype poisoning keys such as `__proto__` or `constructor.prototype`. When 'error', the body is rejected with a 400 HTTP response; when 'remove', the keys are removed; when 'ignore', the keys are kept. Defaults to 'error'.
+ * @param {Number=} options.maxDepth Controls the maximum nesting depth of objects and arrays. Deeper bodies are rejected with a 400 HTTP response. Defaults to Infinity.
+ * @param {Number=} options.maxKeys Controls the maximum number of object keys across the whole body. Bodies with more keys are rejected with a 413 HTTP response. Defaults to Infinity.
+ * @param {String=} options.bigint Controls how integers beyond the safe integer range are represented. When 'string', they are kept as strings; when 'bigint', they are converted to BigInts; when 'lossy', they are converted to Numbers with a loss of precision. Defaults to 'lossy'.
+ * @param {(Boolean|function(HyperExpress.Request):(Boolean|Promise<Boolean>))=} options.strict When set to `true`, will only accept arrays and objects; when `false`, will accept any JSON type. Can be a function which resolves the value for each request. Defaults to `true`.
+ * @param {(String|Number|function(HyperExpress.Request):(String|Number|Promise<String|Number>))=} options.limit Controls the maximum request body size as received on the wire (before inflation). If this is a number, then the value specifies the number of bytes; if it is a string, the value is passed to the bytes library for parsing. Can be a function which resolves the value for each request. Defaults to '100kb'.
+ * @param {(String|Array<String>|Function)=} options.type The `type` option is used to determine what media type the middleware will parse. Can be a string, an Array of strings or a function. If a function, it will be passed the `Request` object and should return a boolean. If a string or an Array, it will be used to match the media type. Defaults to 'application/json'.
+ * @param {function(HyperExpress.Request, HyperExpress.Response, Buffer, String):(boolean|Promise<boolean>)=} options.verify When set, the verify callback is called before the body is parsed and may return a Promise. If the callback does not return `true`, the body is rejected with a 403 HTTP response. The raw body Buffer is kept on the Request.rawBody property for later use.
  */
 function create_json_parser(options = {}) {
     // Destructure the options object with defaults
-    const { reviver, strict = true, inflate = true, limit = '100kb', type = 'application/json', verify } = options;
-
-    // Ensure the type property is either a string or a function
-    if (typeof type !== 'string' && typeof type !== 'function')
-        throw new Error('HyperExpress.BodyParser.text(options) -> options.type must be a string or function');
-
-    // Ensure the verify property is a function when it exists
-    if (verify && typeof verify !== 'function')
-        throw new Error('HyperExpress.BodyParser.text(options) -> options.verify must be a function');
+    const {
+        reviver,
+        protoAction = 'error',
+        maxDepth = Infinity,
+        maxKeys = Infinity,
+        bigint = 'lossy',
+        strict = true,
+        schema,
+    } = options;
 
     // Ensure the reviver property is a function when it exists
     if (reviver && typeof reviver !== 'function')
-        throw new Error('HyperExpress.BodyParser.text(options) -> options.reviver must be a function when defined');
+        throw new Error('HyperExpress.BodyParser.json(options) -> options.reviver must be a function when defined');
+
+    // Ensure the protoAction property is one of the supported actions
+    if (!['error', 'remove', 'ignore'].includes(protoAction))
+        throw new Error(
+            "HyperExpress.BodyParser.json(options) -> options.protoAction must be one of 'error', 'remove' or 'ignore'"
+        );
+
+    // Ensure the maxDepth and maxKeys properties are positive numbers
+    if (typeof maxDepth !== 'number' || isNaN(maxDepth) || maxDepth < 1)
+        throw new Error('HyperExpress.BodyParser.json(options) -> options.maxDepth must be a positive number');
+    if (typeof maxKeys !== 'number' || isNaN(maxKeys) || maxKeys < 0)
+        throw new Error('HyperExpress.BodyParser.json(options) -> options.maxKeys must be a non-negative number');
+
+    // Ensure the bigint property is one of the supported representations
+    if (!['string', 'bigint', 'lossy'].includes(bigint))
+        throw new Error(
+            "HyperExpress.BodyParser.json(options) -> options.bigint must be one of 'string', 'bigint' or 'lossy'"
+        );
+
+    // Ensure the schema property is an object when it exists
+    if (schema !== undefined && (typeof schema !== 'object' || schema === null))
+        throw new Error(
+            'HyperExpress.BodyParser.json(options) -> options.schema must be a JSON Schema object or validator'
+        );
+
+    // Generate the options passed to the safe JSON parser
+    const parse_options = {
+        reviver,
+        proto_action: protoAction,
+        max_depth: maxDepth,
+        max_keys: maxKeys,
+        bigint,
+    };
+
+    // Compile the schema once so it can be used to validate every parsed body
+    const validate_schema = schema && compile_schema(schema);
 
     // Generate parsed properties from the options utilized during parsing
     const conditions = {
+        ...create_conditions('json', options, { type: 'application/json', verify: true, lazy: true }),
         base_encoding: 'utf-8',
         verify_encoding: (encoding) => encoding && encoding.startsWith('utf-'), // assert charset per RFC 7159 sec 8.1
-        verify_body: verify,
-        inflate: inflate === true,
-        limit: typeof limit === 'number' ? limit : bytes.parse(limit),
-        match_type: typeof type === 'function' ? type : (req) => Boolean(type_is(req, type)),
     };
 
     // Return the middleware function
-    return async (request, response) => {
-        // Initialize the body property to an empty String if it doesn't exist
-        if (!request.body) request.body = {};
+    return create_middleware(conditions, {
+        initialize: (request) => {
+            // Initialize the body property to an empty String if it doesn't exist
+            if (!request.body) request.body = {};
+        },
+        parse: async (request, response, conditions) => {
+            // Resolve the strict option for this request before the body is read
+            const strict_body = typeof strict === 'function' ? await strict(request) : strict;
 
-        // Validate this request to determine if we should parse it
-        // Note: This method will automatically send the appropriate error HTTP responses under appropriate scenarios
-        if (validate_request(request, conditions)) {
             // Attempt to read the incoming request body
             const attempt = await attempt_body(request, response, conditions);
             if (attempt) {
@@ -56,22 +95,69 @@ function create_json_parser(options = {}) {
                 const { buffer, charset } = attempt;
 
                 // Convert to the string version of the buffer with the appropriate charset
-                const string = buffer.toString(charset || defaultCharset);
+                // Note: The buffer has already been decoded with the charset of the body so this is a no-op for strings
+                const string = buffer.toString(charset);
 
-                // Iif strict parsing is enabled and the text does not begin with a valid Array/Object character, send a 400 HTTP Response
-                if (strict === true && string[0] !== '{' && string[0] !== '[') return response.status(400).send();
+                // Iif strict parsing is enabled and the text does not begin with a valid Array/Object character, reject with a 400 HTTP Response
+                if (strict_body === true && string[0] !== '{' && string[0] !== '[')
+                    return await reject_body(
+                        request,
+                        response,
+                        conditions,
+                        new BodyParserError(400, 'entity.parse.failed', 'Strict JSON body must be an Object or Array', {
+                            body: string,
+                            expected: ['{', '['],
+                            received: string[0],
+                        })
+                    );
 
                 // Attempt to safely parse the text into a JSON object
+                let body;
                 try {
-                    // Pass the reviver as the second argument as specified in docs
-                    request.body = JSON.parse(string, reviver);
+                    // The reviver is applied to every parsed value as specified in docs
+                    body = safe_parse(string, parse_options);
                 } catch (error) {
-                    // Send a 400 HTTP Response as the parsing failed
-                    return response.status(400).send();
+                    // Reject with the exceeded limit or a 400 HTTP Response as the parsing failed
+                    return await reject_body(
+                        request,
+                        response,
+                        conditions,
+                        error instanceof BodyParserError
+                            ? error
+                            : new BodyParserError(400, 'entity.parse.failed', error.message, {
+                                  body: string,
+                                  cause: error,
+                              })
+                    );
                 }
+
+                // Validate the parsed body against the schema and apply any coerced values or defaults
+                if (validate_schema) {
+                    const { value, errors } = await validate_schema(body);
+                    if (errors)
+                        return await reject_body(
+                            request,
+                            response,
+                            conditions,
+                            new BodyParserError(
+                                422,
+                                'entity.validation.failed',
+                                'Request body failed schema validation',
+                                {
+                                    body,
+                                    errors,
+                                }
+                            )
+                        );
+
+                    body = value;
+                }
+
+                // Write the parsed body to the request body property
+                request.body = body;
             }
-        }
-    };
+        },
+    });
 }
 
 module.exports = create_json_parser;
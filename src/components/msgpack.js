@@ -0,0 +1,33 @@
+const create_parser = require('./parser.js');
+const { decode_msgpack } = require('../msgpack.js');
+
+/**
+ * Creates a MessagePack body parsing middleware which will decode incoming body data into the Request.body property under provided option based conditions.
+ * Binary data is decoded into Buffers, 64 bit integers beyond the safe integer range into BigInts, timestamps into Dates and map keys into strings.
+ * Note! This parser accepts all of the options of the raw() parser and rejects malformed bodies with a 400 HTTP response.
+ *
+ * @param {Object} options - Options object for MessagePack body parser
+ * @param {Number=} options.maxDepth Controls the maximum nesting depth of arrays and maps. Deeper bodies are rejected with a 400 HTTP response. Defaults to 64.
+ * @param {(String|Array<String>|Function)=} options.type The `type` option is used to determine what media type the middleware will parse. Can be a string, an Array of strings or a function. If a function, it will be passed the `Request` object and should return a boolean. If a string or an Array, it will be used to match the media type. Defaults to ['application/msgpack', 'application/x-msgpack'].
+ */
+function create_msgpack_parser(options = {}) {
+    // Destructure the options object with defaults
+    const { maxDepth = 64 } = options;
+
+    // Ensure the maxDepth property is a positive number
+    if (typeof maxDepth !== 'number' || isNaN(maxDepth) || maxDepth <= 0)
+        throw new Error('HyperExpress.BodyParser.msgpack(options) -> options.maxDepth must be a positive number');
+
+    // Generate the options passed to the MessagePack decoder
+    const decode_options = {
+        max_depth: maxDepth,
+    };
+
+    return create_parser({
+        name: 'msgpack',
+        type: ['application/msgpack', 'application/x-msgpack'],
+        decode: (buffer) => decode_msgpack(buffer, decode_options),
+    })(options);
+}
+
+module.exports = create_msgpack_parser;
@@ -0,0 +1,251 @@
+const path = require('path');
+const busboy = require('busboy');
+
+const create_memory_storage = require('../storage/memory.js');
+const { BodyParserError } = require('../errors.js');
+const {
+    create_conditions,
+    create_middleware,
+    reject_body,
+    stream_body,
+    trace_stream,
+    abort_stream,
+} = require('../shared.js');
+
+/**
+ * @typedef {Object} MultipartFile
+ * @property {String} field - The name of the form field this file was uploaded with.
+ * @property {String} name - The original name of the file as provided by the client.
+ * @property {String} extension - The lowercase extension of the original file name including the leading dot.
+ * @property {String} encoding - The transfer encoding of the file.
+ * @property {String} mime_type - The mime type of the file as provided by the client.
+ */
+
+/**
+ * Creates a 413 BodyParserError which describes the multipart limit that was exceeded.
+ *
+ * @param {Object} limits
+ * @param {String} name The name of the exceeded limit in the limits object.
+ * @param {String} message
+ * @returns {BodyParserError}
+ */
+function limit_error(limits, name, message) {
+    return new BodyParserError(413, 'entity.too.large', message, {
+        limit: `limits.${name}`,
+        expected: limits[name],
+    });
+}
+
+/**
+ * Reads the multipart body from the provided stream into fields and files.
+ * Note! Any stored files are automatically removed if the body is rejected or the request is aborted.
+ *
+ * @param {HyperExpress.Request} request
+ * @param {HyperExpress.Response} response
+ * @param {import('stream').Readable} stream
+ * @param {Object} settings
+ * @returns {Promise<{fields: Object, files: Array<MultipartFile>}>}
+ */
+function read_multipart(request, response, stream, settings) {
+    const { limits, uploader_limits, storage, filter } = settings;
+    return new Promise((resolve, reject) => {
+        // Initialize the fields and files which will be parsed from the body
+        const fields = {};
+        const files = [];
+        const pending = [];
+
+        // Initialize a busboy instance which will parse the incoming multipart stream
+        let uploader;
+        try {
+            uploader = busboy({ headers: request.headers, limits: uploader_limits, defParamCharset: 'utf8' });
+        } catch (error) {
+            // The content-type header is missing a valid boundary
+            const parse_error = new BodyParserError(400, 'entity.parse.failed', error.message, { cause: error });
+            return abort_stream(request, response, stream).then(() => reject(parse_error));
+        }
+
+        // Rejects the body and cleans up all stored files
+        let finished = false;
+        const fail = (error) => {
+            // Ensure we only fail once
+            if (finished) return;
+            finished = true;
+
+            // Stop parsing the incoming body and discard any remaining data
+            // Note: This is deferred as busboy emits limit events synchronously while it is still writing
+            response.removeListener('abort', on_abort);
+            process.nextTick(() => {
+                stream.unpipe(uploader);
+                uploader.destroy();
+
+                // Remove any files which were stored before the failure once the remaining body has been discarded
+                Promise.all([abort_stream(request, response, stream), Promise.allSettled(pending)])
+                    .then(() =>
+                        Promise.allSettled(files.filter((file) => file.stored).map((file) => storage.remove(file)))
+                    )
+                    .then(() => reject(error));
+            });
+        };
+
+        // Bind an abort handler to clean up stored files if the client disconnects mid-upload
+        const on_abort = () => fail(new BodyParserError(400, 'request.aborted', 'Request aborted'));
+        response.once('abort', on_abort);
+
+        // Store each incoming file with the storage engine
+        uploader.on('file', (field, file_stream, info) => {
+            // Build the file information object for this file
+            const file = {
+                field,
+                name: info.filename,
+                extension: path.extname(info.filename || '').toLowerCase(),
+                encoding: info.encoding,
+                mime_type: info.mimeType,
+            };
+
+            // Reject the whole body if this file exceeds the file size limit
+            file_stream.once('limit', () =>
+                fail(limit_error(limits, 'fileSize', `File "${file.name}" exceeds the file size limit`))
+            );
+
+            pending.push(
+                (async () => {
+                    // Skip this file if it is refused by the filter
+                    if (filter && (await filter(file, request)) !== true) return file_stream.resume();
+
+                    // Write this file with the storage engine and merge the stored properties onto the file
+                    Object.assign(file, await storage.handle(file_stream, file), { stored: true });
+                    files.push(file);
+                })().catch((error) =>
+                    fail(
+                        error instanceof BodyParserError
+                            ? error
+                            : new BodyParserError(500, 'storage.failed', error.message, { cause: error })
+                    )
+                )
+            );
+        });
+
+        // Store each incoming field on the fields object
+        uploader.on('field', (name, value, info) => {
+            // Reject the whole body if this field value was truncated due to the field size limit
+            if (info.valueTruncated)
+                return fail(limit_error(limits, 'fieldSize', `Field "${name}" exceeds the field size limit`));
+
+            // Ignore field names which would pollute the prototype of the fields object
+            if (name === '__proto__') return;
+
+            // Convert repeated fields into an Array of values
+            if (Object.prototype.hasOwnProperty.call(fields, name)) {
+                fields[name] = [].concat(fields[name], value);
+            } else {
+                fields[name] = value;
+            }
+        });
+
+        // Reject the whole body if any of the count limits are exceeded
+        uploader.once('partsLimit', () => fail(limit_error(limits, 'parts', 'Body exceeds the parts limit')));
+        uploader.once('filesLimit', () => fail(limit_error(limits, 'files', 'Body exceeds the files limit')));
+        uploader.once('fieldsLimit', () => fail(limit_error(limits, 'fields', 'Body exceeds the fields limit')));
+        uploader.once('error', (error) =>
+            fail(new BodyParserError(400, 'entity.parse.failed', error.message, { cause: error }))
+        );
+
+        // Resolve once the whole body has been parsed and all files have been stored
+        uploader.once('close', () =>
+            Promise.all(pending).then(() => {
+                if (finished) return;
+                finished = true;
+                response.removeListener('abort', on_abort);
+
+                // Strip the internal stored flag from the files
+                files.forEach((file) => delete file.stored);
+                resolve({ fields, files });
+            })
+        );
+
+        // Reject the whole body if the decompression stream fails or exceeds the inflation limits
+        if (stream !== request)
+            stream.once('error', (error) =>
+                fail(
+                    error instanceof BodyParserError
+                        ? error
+                        : new BodyParserError(400, 'entity.decode.failed', error.message, { cause: error })
+                )
+            );
+
+        // Pipe the incoming body stream into busboy
+        stream.pipe(uploader);
+    });
+}
+
+/**
+ * Creates a multipart (Form Data) body parsing middleware which will parse incoming fields into the Request.body property and files into the Request.files property under provided option based conditions.
+ * Note! This middleware streams files into the storage engine without buffering the whole body and will send a 413 HTTP Response if any of the limits are exceeded.
+ *
+ * @param {Object} options - Options object for Multipart body parser which also accepts the shared ParserOptions
+ * @param {Object=} options.limits The limits applied to individual parts of the body.
+ * @param {Number=} options.limits.fileSize The maximum size of each file in bytes. Defaults to Infinity.
+ * @param {Number=} options.limits.fieldSize The maximum size of each field value in bytes. Defaults to 1MB.
+ * @param {Number=} options.limits.files The maximum number of files. Defaults to Infinity.
+ * @param {Number=} options.limits.fields The maximum number of non-file fields. Defaults to Infinity.
+ * @param {Number=} options.limits.parts The maximum number of parts (fields and files). Defaults to Infinity.
+ * @param {Object=} options.storage The storage engine which will store each file. Must implement `handle(stream, file)` and `remove(file)` methods returning Promises. Defaults to the memory storage engine.
+ * @param {function(MultipartFile, HyperExpress.Request):(boolean|Promise<boolean>)=} options.filter When set, the filter callback is called for each file before it is stored. If the callback does not return `true`, the file is skipped.
+ * @param {(String|Number|function(HyperExpress.Request):(String|Number|Promise<String|Number>))=} options.limit Controls the maximum request body size as received on the wire (before inflation). If this is a number, then the value specifies the number of bytes; if it is a string, the value is passed to the bytes library for parsing. Can be a function which resolves the value for each request. Defaults to '10mb'.
+ * @param {(String|Array<String>|Function)=} options.type The `type` option is used to determine what media type the middleware will parse. Can be a string, an Array of strings or a function. If a function, it will be passed the `Request` object and should return a boolean. If a string or an Array, it will be used to match the media type. Defaults to 'multipart/form-data'.
+ */
+function create_multipart_parser(options = {}) {
+    // Destructure the options object with defaults
+    const { limits = {}, storage = create_memory_storage(), filter } = options;
+
+    // Ensure the limits property is an object
+    if (typeof limits !== 'object' || limits === null)
+        throw new Error('HyperExpress.BodyParser.multipart(options) -> options.limits must be an object');
+
+    // Ensure the storage property implements the storage engine methods
+    if (!storage || typeof storage.handle !== 'function' || typeof storage.remove !== 'function')
+        throw new Error(
+            'HyperExpress.BodyParser.multipart(options) -> options.storage must implement handle(stream, file) and remove(file) methods'
+        );
+
+    // Ensure the filter property is a function when it exists
+    if (filter && typeof filter !== 'function')
+        throw new Error('HyperExpress.BodyParser.multipart(options) -> options.filter must be a function');
+
+    // Generate parsed properties from the options utilized during parsing
+    const conditions = create_conditions('multipart', options, { type: 'multipart/form-data', limit: '10mb' });
+
+    // Generate the limits utilized by busboy while parsing
+    // Note: busboy emits a limit event once a file reaches the fileSize limit so it is allowed one more byte to only reject larger files
+    const uploader_limits = limits.fileSize === undefined ? limits : { ...limits, fileSize: limits.fileSize + 1 };
+    const settings = { limits, uploader_limits, storage, filter };
+
+    // Return the middleware function
+    return create_middleware(conditions, {
+        initialize: (request) => {
+            // Initialize the body and files properties if they don't exist
+            if (!request.body) request.body = {};
+            if (!request.files) request.files = [];
+        },
+        parse: async (request, response, conditions) => {
+            // Begin streaming the incoming request body
+            const stream = await stream_body(request, response, conditions);
+            if (stream) {
+                // Record the byte counts of the body as it is read
+                trace_stream(request, stream);
+
+                try {
+                    // Parse the multipart body into fields and files
+                    const { fields, files } = await read_multipart(request, response, stream, settings);
+                    request.body = fields;
+                    request.files = files;
+                } catch (error) {
+                    // Reject the request as the parsing failed or one of the limits was exceeded
+                    return await reject_body(request, response, conditions, error);
+                }
+            }
+        },
+    });
+}
+
+module.exports = create_multipart_parser;
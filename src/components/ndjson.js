@@ -0,0 +1,194 @@
+const bytes = require('bytes');
+const { StringDecoder } = require('string_decoder');
+
+const { BodyParserError } = require('../errors.js');
+const {
+    create_conditions,
+    create_middleware,
+    reject_body,
+    stream_body,
+    trace_stream,
+    abort_stream,
+} = require('../shared.js');
+
+/**
+ * Reads newline delimited JSON records from the provided stream one line at a time.
+ * Note! The stream is paused while each record is handled so slow record handlers apply backpressure to the client.
+ *
+ * @param {import('stream').Readable} stream
+ * @param {Object} settings
+ * @param {function(*, Number):(void|Promise<void>)} handler
+ * @returns {Promise<void>}
+ */
+function read_records(stream, settings, handler) {
+    const { line_limit, reviver } = settings;
+    return new Promise((resolve, reject) => {
+        const decoder = new StringDecoder('utf8');
+        let remainder = '';
+        let line_number = 0;
+        let failed = false;
+
+        // Handle the lines of each chunk in order as the stream may still emit while lines are being handled
+        let handling = Promise.resolve();
+
+        // Rejects the records with the provided error and stops reading any further lines
+        const fail = (error) => {
+            if (failed) return;
+            failed = true;
+            stream.removeListener('data', on_data);
+            reject(error);
+        };
+
+        // Parses and handles each of the provided lines in order
+        const handle_lines = async (lines) => {
+            for (const line of lines) {
+                // Stop handling lines once the records have been rejected
+                if (failed) return;
+                line_number++;
+
+                // Ensure this line does not exceed the line limit
+                const length = Buffer.byteLength(line);
+                if (length > line_limit)
+                    throw new BodyParserError(
+                        413,
+                        'entity.too.large',
+                        `Record on line ${line_number} exceeded the lineLimit of ${line_limit} bytes`,
+                        { limit: 'lineLimit', expected: line_limit, received: length, line: line_number }
+                    );
+
+                // Skip blank lines between records
+                const trimmed = line.trim();
+                if (trimmed.length === 0) continue;
+
+                // Attempt to safely parse the line into a record
+                let record;
+                try {
+                    record = JSON.parse(trimmed, reviver);
+                } catch (error) {
+                    throw new BodyParserError(400, 'entity.parse.failed', `Line ${line_number}: ${error.message}`, {
+                        body: trimmed,
+                        line: line_number,
+                        cause: error,
+                    });
+                }
+
+                await handler(record, line_number);
+            }
+        };
+
+        const on_data = (chunk) => {
+            // Split the decoded chunk into complete lines and keep the trailing partial line
+            const lines = (remainder + decoder.write(chunk)).split('\n');
+            remainder = lines.pop();
+
+            // Ensure the partial line has not already exceeded the line limit
+            if (Buffer.byteLength(remainder) > line_limit) lines.push(remainder);
+
+            // Pause the stream while the complete lines are handled
+            stream.pause();
+            handling = handling
+                .then(() => handle_lines(lines))
+                .then(() => {
+                    if (!failed) stream.resume();
+                }, fail);
+        };
+        stream.on('data', on_data);
+
+        // Pause before resuming so both the underlying uWS response and the readable stream of a request are resumed
+        // Note: HyperExpress requests remain paused after a 'data' listener is attached
+        stream.pause();
+        stream.resume();
+
+        // Handle the final line once the whole body has been received
+        stream.once('end', () => {
+            handling = handling
+                .then(() => handle_lines([remainder + decoder.end()]))
+                .then(() => {
+                    if (!failed) resolve();
+                }, fail);
+        });
+        stream.once('error', (error) =>
+            fail(
+                error instanceof BodyParserError
+                    ? error
+                    : new BodyParserError(400, 'entity.decode.failed', error.message, { cause: error })
+            )
+        );
+    });
+}
+
+/**
+ * Creates an NDJSON (Array) body parsing middleware which will parse newline delimited JSON records into the Request.body property under provided option based conditions.
+ * Note! Records are decoded one at a time as the body is streamed and are either collected into an Array or passed to the `onRecord` callback.
+ *
+ * @param {Object} options - Options object for NDJSON body parser which also accepts the shared ParserOptions
+ * @param {function(*, Number, HyperExpress.Request):(void|Promise<void>)=} options.onRecord When set, each record is passed to this callback with its line number instead of being collected into the Request.body property. The body stream is paused until a returned Promise resolves.
+ * @param {Function=} options.reviver The reviver option is passed to the JSON.parse function as its second argument for each record.
+ * @param {(String|Number)=} options.lineLimit Controls the maximum size of each record line. Accepts the same values as `limit`. Defaults to '100kb'.
+ * @param {(String|Number|function(HyperExpress.Request):(String|Number|Promise<String|Number>))=} options.limit Controls the maximum request body size as received on the wire (before inflation). If this is a number, then the value specifies the number of bytes; if it is a string, the value is passed to the bytes library for parsing. Can be a function which resolves the value for each request. Defaults to '1mb'.
+ * @param {(String|Array<String>|Function)=} options.type The `type` option is used to determine what media type the middleware will parse. Can be a string, an Array of strings or a function. If a function, it will be passed the `Request` object and should return a boolean. If a string or an Array, it will be used to match the media type. Defaults to 'application/x-ndjson'.
+ */
+function create_ndjson_parser(options = {}) {
+    // Destructure the options object with defaults
+    const { onRecord, reviver, lineLimit = '100kb' } = options;
+
+    // Ensure the onRecord property is a function when it exists
+    if (onRecord && typeof onRecord !== 'function')
+        throw new Error('HyperExpress.BodyParser.ndjson(options) -> options.onRecord must be a function');
+
+    // Ensure the reviver property is a function when it exists
+    if (reviver && typeof reviver !== 'function')
+        throw new Error('HyperExpress.BodyParser.ndjson(options) -> options.reviver must be a function when defined');
+
+    // Generate parsed properties from the options utilized during parsing
+    const conditions = {
+        ...create_conditions('ndjson', options, { type: 'application/x-ndjson', limit: '1mb' }),
+        base_encoding: 'utf-8',
+        verify_encoding: (encoding) => encoding === 'utf-8',
+    };
+    const settings = {
+        line_limit: typeof lineLimit === 'number' ? lineLimit : bytes.parse(lineLimit),
+        reviver,
+    };
+
+    // Return the middleware function
+    return create_middleware(conditions, {
+        initialize: (request) => {
+            // Initialize the body property to an empty Array if it doesn't exist
+            if (!request.body) request.body = [];
+        },
+        parse: async (request, response, conditions) => {
+            // Begin streaming the incoming request body
+            const stream = await stream_body(request, response, conditions);
+            if (stream) {
+                // Record the byte counts of the body as it is read
+                trace_stream(request, stream);
+
+                // Collect the records into an Array unless they are passed to the onRecord callback
+                const records = [];
+                const handler = onRecord
+                    ? (record, line) => onRecord(record, line, request)
+                    : (record) => records.push(record);
+
+                try {
+                    // Read each record from the incoming body stream
+                    await read_records(stream, settings, handler);
+                } catch (error) {
+                    // Stop streaming and discard any remaining data from the request
+                    await abort_stream(request, response, stream);
+
+                    // Throw any errors from the onRecord callback to the global error handler
+                    if (!(error instanceof BodyParserError)) throw error;
+
+                    // Reject the request as a record could not be parsed or the limits were exceeded
+                    return await reject_body(request, response, conditions, error);
+                }
+
+                // Write the collected records to the request body property
+                if (!onRecord) request.body = records;
+            }
+        },
+    });
+}
+
+module.exports = create_ndjson_parser;
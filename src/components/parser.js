@@ -0,0 +1,35 @@
+const { is_media_type, create_buffered_parser } = require('../shared.js');
+
+/**
+ * Creates a body parser factory for a custom format which decodes the raw body Buffer into the Request.body property.
+ * The parsers created by the factory support the same limit, inflate, verify and error handling options as the raw() parser.
+ *
+ * @param {Object} options - Options object for the custom format
+ * @param {String} options.name The name of the parser which is used in error messages and instrumentation events (e.g. 'yaml').
+ * @param {(String|Array<String>|Function)} options.type The default media type or media types which the parsers will parse (e.g. 'application/yaml'). Can be overridden with the `type` option of each parser.
+ * @param {function(Buffer, HyperExpress.Request):*} options.decode The function which decodes the raw body Buffer into the parsed body and may return a Promise. Thrown BodyParserErrors reject the body as they are, while any other thrown errors reject the body with a 400 HTTP response.
+ * @returns {function(Object=):function(HyperExpress.Request, HyperExpress.Response):Promise<void>}
+ */
+function create_parser(options = {}) {
+    // Destructure the options object
+    const { name, type: default_type, decode } = options;
+
+    // Ensure the name property is a string
+    if (typeof name !== 'string' || name.length === 0)
+        throw new Error('HyperExpress.BodyParser.createParser(options) -> options.name must be a string');
+
+    // Ensure the type property is either a string, an Array of Strings or a function
+    if (!is_media_type(default_type))
+        throw new Error(
+            'HyperExpress.BodyParser.createParser(options) -> options.type must be a string, an Array of Strings or function'
+        );
+
+    // Ensure the decode property is a function
+    if (typeof decode !== 'function')
+        throw new Error('HyperExpress.BodyParser.createParser(options) -> options.decode must be a function');
+
+    // Build the parsers of this format on the same factory as the raw() parser
+    return create_buffered_parser({ name, type: default_type, empty: () => ({}), binary: true, decode });
+}
+
+module.exports = create_parser;
@@ -0,0 +1,100 @@
+const create_parser = require('./parser.js');
+
+/**
+ * Asserts that the provided buffer is a well framed Protocol Buffers message before it is decoded.
+ * Every field must have a valid field number and wire type and every declared length must fit within the remaining bytes.
+ *
+ * @param {Buffer} buffer
+ */
+function validate_wire(buffer) {
+    let index = 0;
+
+    // Throws a SyntaxError describing the current position
+    const unexpected = (message) => {
+        throw new SyntaxError(`${message} in Protocol Buffers message at position ${index}`);
+    };
+
+    // Skips the provided number of bytes after ensuring they are remaining in the buffer
+    const skip = (length) => {
+        if (length > buffer.length - index) unexpected('Unexpected end of data');
+        index += length;
+    };
+
+    // Reads a varint of up to 10 bytes
+    // Note: Only the lower 53 bits are kept as varints are only used for tags and lengths here
+    const read_varint = () => {
+        let value = 0;
+        for (let i = 0; i < 10; i++) {
+            if (index >= buffer.length) unexpected('Unexpected end of data');
+            const byte = buffer[index++];
+            if (i < 8) value += (byte & 0x7f) * 2 ** (7 * i);
+            if ((byte & 0x80) === 0) return value;
+        }
+
+        unexpected('Malformed varint');
+    };
+
+    let groups = 0;
+    while (index < buffer.length) {
+        // Ensure the tag has a valid field number
+        const tag = read_varint();
+        if (tag < 8) unexpected('Invalid field number');
+
+        switch (tag % 8) {
+            case 0:
+                read_varint();
+                break;
+            case 1:
+                skip(8);
+                break;
+            case 2:
+                skip(read_varint());
+                break;
+            case 3:
+                groups++;
+                break;
+            case 4:
+                if (--groups < 0) unexpected('Unexpected end group');
+                break;
+            case 5:
+                skip(4);
+                break;
+            default:
+                unexpected(`Invalid wire type ${tag % 8}`);
+        }
+    }
+
+    if (groups > 0) unexpected('Unexpected end of data');
+}
+
+/**
+ * Creates a Protocol Buffers body parsing middleware which will decode incoming body data with the provided message type into the Request.body property under provided option based conditions.
+ * The message type can be any object with a `decode(buffer)` method such as a protobufjs Type or a ts-proto message.
+ * Note! This parser accepts all of the options of the raw() parser apart from `type` which is named `mediaType` instead. Malformed bodies are rejected with a 400 HTTP response.
+ *
+ * @param {Object} options - Options object for Protocol Buffers body parser
+ * @param {{decode: function(Buffer):*}} options.type The message type which is used to decode the body.
+ * @param {(String|Function)=} options.mediaType The `mediaType` option is used to determine what media type the middleware will parse. Can be a string or a function. If a function, it will be passed the `Request` object and should return a boolean. If a string, it will be used to match the media type. Defaults to 'application/x-protobuf'.
+ */
+function create_protobuf_parser(options = {}) {
+    // Destructure the options object with defaults
+    const { type, mediaType = 'application/x-protobuf' } = options;
+
+    // Ensure the type property is a message type with a decode method
+    if (!type || typeof type.decode !== 'function')
+        throw new Error(
+            'HyperExpress.BodyParser.protobuf(options) -> options.type must be a message type with a decode method'
+        );
+
+    return create_parser({
+        name: 'protobuf',
+        type: 'application/x-protobuf',
+        decode: (buffer) => {
+            // Assert the framing of the message so malformed bodies are rejected before they reach the decoder
+            validate_wire(buffer);
+            return type.decode(buffer);
+        },
+    })({ ...options, type: mediaType });
+}
+
+module.exports = create_protobuf_parser;
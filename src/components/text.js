@@ -1,47 +1,31 @@
-const bytes = require('bytes');
-const type_is = require('type-is');
-
-const { validate_request, attempt_body } = require('../shared.js');
+const { create_conditions, create_middleware, attempt_body } = require('../shared.js');
 
 /**
  * Creates a text (String) body parsing middleware which will parse incoming body data into the Request.body property under provided option based conditions.
  *
- * @param {Object} options - Options object for Raw body parser
- * @param {String=} options.defaultCharset The default charset to use when decoding a request body if one is not specified in the content-type header. Defaults to 'utf-8'.
- * @param {Boolean=} options.inflate When set to `true`, then deflated (compressed) bodies will be inflated; when `false`, deflated bodies are rejected. Defaults to `true`.
- * @param {(String|Number)=} options.limit Controls the maximum request body size. If this is a number, then the value specifies the number of bytes; if it is a string, the value is passed to the bytes library for parsing. Defaults to '100kb'.
- * @param {(String|Function)=} options.type The `type` option is used to determine what media type the middleware will parse. Can be a string or a function. If a function, it will be passed the `Request` object and should return a boolean. If a string, it will be used to match the media type. Defaults to 'text/plain'.
- * @param {function(HyperExpress.Request, HyperExpress.Response, Buffer, String):boolean=} options.verify When set, the verify callback is called before the body is parsed. If the callback returns false, the body is rejected and the request is aborted with a 403 HTTP response.
+ * @param {Object} options - Options object for Text body parser which also accepts the shared ParserOptions
+ * @param {(String|function(HyperExpress.Request):(String|Promise<String>))=} options.defaultCharset The default charset to use when decoding a request body if one is not specified in the content-type header. Can be a function which resolves the value for each request. Defaults to 'utf-8'.
+ * @param {(String|Number|function(HyperExpress.Request):(String|Number|Promise<String|Number>))=} options.limit Controls the maximum request body size as received on the wire (before inflation). If this is a number, then the value specifies the number of bytes; if it is a string, the value is passed to the bytes library for parsing. Can be a function which resolves the value for each request. Defaults to '100kb'.
+ * @param {(String|Array<String>|Function)=} options.type The `type` option is used to determine what media type the middleware will parse. Can be a string, an Array of strings or a function. If a function, it will be passed the `Request` object and should return a boolean. If a string or an Array, it will be used to match the media type. Defaults to 'text/plain'.
+ * @param {function(HyperExpress.Request, HyperExpress.Response, Buffer, String):(boolean|Promise<boolean>)=} options.verify When set, the verify callback is called before the body is parsed and may return a Promise. If the callback does not return `true`, the body is rejected with a 403 HTTP response. The raw body Buffer is kept on the Request.rawBody property for later use.
  */
 function create_text_parser(options = {}) {
     // Destructure the options object with defaults
-    const { inflate = true, limit = '100kb', defaultCharset = 'utf-8', type = 'text/plain', verify } = options;
-
-    // Ensure the type property is either a string or a function
-    if (typeof type !== 'string' && typeof type !== 'function')
-        throw new Error('HyperExpress.BodyParser.text(options) -> options.type must be a string or function');
-
-    // Ensure the verify property is a function when it exists
-    if (verify && typeof verify !== 'function')
-        throw new Error('HyperExpress.BodyParser.text(options) -> options.verify must be a function');
+    const { defaultCharset = 'utf-8' } = options;
 
     // Generate parsed properties from the options utilized during parsing
     const conditions = {
+        ...create_conditions('text', options, { type: 'text/plain', verify: true, lazy: true }),
         base_encoding: defaultCharset,
-        verify_body: verify,
-        inflate: inflate === true,
-        limit: typeof limit === 'number' ? limit : bytes.parse(limit),
-        match_type: typeof type === 'function' ? type : (req) => Boolean(type_is(req, type)),
     };
 
     // Return the middleware function
-    return async (request, response) => {
-        // Initialize the body property to an empty String if it doesn't exist
-        if (!request.body) request.body = '';
-
-        // Validate this request to determine if we should parse it
-        // Note: This method will automatically send the appropriate error HTTP responses under appropriate scenarios
-        if (validate_request(request, conditions)) {
+    return create_middleware(conditions, {
+        initialize: (request) => {
+            // Initialize the body property to an empty String if it doesn't exist
+            if (!request.body) request.body = '';
+        },
+        parse: async (request, response, conditions) => {
             // Attempt to read the incoming request body
             const attempt = await attempt_body(request, response, conditions);
             if (attempt) {
@@ -49,10 +33,10 @@ function create_text_parser(options = {}) {
                 const { buffer, charset } = attempt;
 
                 // Write the string version of the buffer with the appropriate charset
-                request.body = buffer.toString(charset || defaultCharset);
+                request.body = buffer.toString(charset || conditions.base_encoding);
             }
-        }
-    };
+        },
+    });
 }
 
 module.exports = create_text_parser;
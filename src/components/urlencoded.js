@@ -0,0 +1,209 @@
+const qs = require('qs');
+
+const { compile_schema } = require('../schema.js');
+const { BodyParserError } = require('../errors.js');
+const { create_conditions, create_middleware, reject_body, attempt_body } = require('../shared.js');
+
+// The charsets supported by the qs module when decoding percent-encoded form values
+const SUPPORTED_CHARSETS = ['utf-8', 'iso-8859-1'];
+
+/**
+ * Counts the number of parameters in an urlencoded string up to the provided limit.
+ * Returns undefined if the number of parameters is greater than the limit.
+ *
+ * @param {String} string
+ * @param {Number} limit
+ * @returns {Number|undefined}
+ */
+function count_parameters(string, limit) {
+    let count = 0;
+    let index = 0;
+    while ((index = string.indexOf('&', index)) !== -1) {
+        count++;
+        index++;
+
+        // Stop counting as soon as we have crossed the limit
+        if (count >= limit) return;
+    }
+
+    return count;
+}
+
+/**
+ * Removes the keys of a flat body which address a prototype property with bracket notation (e.g. `__proto__[admin]`).
+ * Note! The qs module keeps these as literal keys when nested objects are not parsed, so they are dropped as in extended mode.
+ *
+ * @param {Object} body
+ * @returns {Object}
+ */
+function drop_prototype_keys(body) {
+    for (const key of Object.keys(body)) {
+        const root = key.split('[', 1)[0];
+        if (root !== key && Object.prototype.hasOwnProperty.call(Object.prototype, root)) delete body[key];
+    }
+
+    return body;
+}
+
+/**
+ * Creates an urlencoded (Object) body parsing middleware which will parse incoming body data into the Request.body property under provided option based conditions.
+ * Note! This middleware will send a 413 HTTP Response if the parameter limit is exceeded and a 400 HTTP Response if parsing fails.
+ *
+ * @param {Object} options - Options object for Urlencoded body parser which also accepts the shared ParserOptions
+ * @param {Boolean=} options.extended When set to `true`, nested objects and arrays will be parsed with bracket notation (e.g. `a[b][0]=x`); when `false`, only flat key/value pairs are parsed. Defaults to `false`.
+ * @param {Number=} options.parameterLimit Controls the maximum number of parameters that are allowed in the body. Defaults to 1000.
+ * @param {Number=} options.depth Controls the maximum depth of nested objects when `extended` is `true`. Bodies nested deeper than this are rejected with a 400 HTTP response. Defaults to 32.
+ * @param {Boolean=} options.allowDots When set to `true`, dot notation (e.g. `a.b=x`) will also be parsed into nested objects when `extended` is `true`. Defaults to `false`.
+ * @param {Number=} options.arrayLimit Controls the maximum index that will be parsed into an array when `extended` is `true`. Larger indexes will be parsed into object keys instead. Defaults to 100.
+ * @param {String=} options.charset The default charset to use when decoding a request body if one is not specified in the content-type header. Can be 'utf-8' or 'iso-8859-1'. Defaults to 'utf-8'.
+ * @param {Boolean=} options.charsetSentinel When set to `true`, the `utf8=✓` parameter will be used to detect the charset of the body and will be omitted from the parsed result. Defaults to `false`.
+ * @param {(Object|{validate: function(*):{value: *, errors: Array=}})=} options.schema When set, the parsed body is validated against this JSON Schema which is compiled once when the middleware is created. Any validator which implements the `validate(value) -> { value, errors }` adapter interface can also be used. Invalid bodies are rejected with a 422 HTTP response and coerced values and defaults are reflected on the Request.body property.
+ * @param {(String|Number|function(HyperExpress.Request):(String|Number|Promise<String|Number>))=} options.limit Controls the maximum request body size as received on the wire (before inflation). If this is a number, then the value specifies the number of bytes; if it is a string, the value is passed to the bytes library for parsing. Can be a function which resolves the value for each request. Defaults to '100kb'.
+ * @param {(String|Array<String>|Function)=} options.type The `type` option is used to determine what media type the middleware will parse. Can be a string, an Array of strings or a function. If a function, it will be passed the `Request` object and should return a boolean. If a string or an Array, it will be used to match the media type. Defaults to 'application/x-www-form-urlencoded'.
+ * @param {function(HyperExpress.Request, HyperExpress.Response, Buffer, String):(boolean|Promise<boolean>)=} options.verify When set, the verify callback is called before the body is parsed and may return a Promise. If the callback does not return `true`, the body is rejected with a 403 HTTP response. The raw body Buffer is kept on the Request.rawBody property for later use.
+ */
+function create_urlencoded_parser(options = {}) {
+    // Destructure the options object with defaults
+    const {
+        extended = false,
+        parameterLimit = 1000,
+        depth = 32,
+        allowDots = false,
+        arrayLimit = 100,
+        charset = 'utf-8',
+        charsetSentinel = false,
+        schema,
+    } = options;
+
+    // Ensure the parameterLimit property is a positive number
+    if (typeof parameterLimit !== 'number' || isNaN(parameterLimit) || parameterLimit < 1)
+        throw new Error(
+            'HyperExpress.BodyParser.urlencoded(options) -> options.parameterLimit must be a positive number'
+        );
+
+    // Ensure the depth property is a non-negative number
+    if (typeof depth !== 'number' || isNaN(depth) || depth < 0)
+        throw new Error('HyperExpress.BodyParser.urlencoded(options) -> options.depth must be a non-negative number');
+
+    // Ensure the charset property is one of the supported charsets
+    if (!SUPPORTED_CHARSETS.includes(charset))
+        throw new Error(
+            `HyperExpress.BodyParser.urlencoded(options) -> options.charset must be one of ${SUPPORTED_CHARSETS.join(
+                ', '
+            )}`
+        );
+
+    // Ensure the schema property is an object when it exists
+    if (schema !== undefined && (typeof schema !== 'object' || schema === null))
+        throw new Error(
+            'HyperExpress.BodyParser.urlencoded(options) -> options.schema must be a JSON Schema object or validator'
+        );
+
+    // Compile the schema once so it can be used to validate every parsed body
+    const validate_schema = schema && compile_schema(schema);
+
+    // Generate parsed properties from the options utilized during parsing
+    const conditions = {
+        ...create_conditions('urlencoded', options, { type: 'application/x-www-form-urlencoded', verify: true }),
+        base_encoding: charset,
+        verify_encoding: (encoding) => encoding && SUPPORTED_CHARSETS.includes(encoding.toLowerCase()),
+    };
+
+    // Generate the options passed to the qs module during parsing
+    // Note: Prototype keys such as __proto__ are dropped as allowPrototypes is disabled
+    const parse_options = {
+        depth: extended ? depth : 0,
+        strictDepth: true,
+        allowDots: extended && allowDots,
+        arrayLimit,
+        parseArrays: extended,
+        allowPrototypes: false,
+        charsetSentinel,
+        parameterLimit,
+    };
+
+    // Return the middleware function
+    return create_middleware(conditions, {
+        initialize: (request) => {
+            // Initialize the body property to an empty Object if it doesn't exist
+            if (!request.body) request.body = {};
+        },
+        parse: async (request, response, conditions) => {
+            // Attempt to read the incoming request body
+            const attempt = await attempt_body(request, response, conditions);
+            if (attempt) {
+                // Destructure the attempt object
+                const { buffer, charset } = attempt;
+
+                // Convert to the string version of the buffer with the appropriate charset
+                const string = buffer.toString();
+
+                // Reject with a 413 HTTP Response if the body contains more parameters than allowed
+                if (count_parameters(string, parameterLimit) === undefined)
+                    return await reject_body(
+                        request,
+                        response,
+                        conditions,
+                        new BodyParserError(413, 'parameters.too.many', 'Too many parameters', {
+                            limit: 'parameterLimit',
+                            expected: parameterLimit,
+                        })
+                    );
+
+                // Attempt to safely parse the text into an Object
+                let body;
+                try {
+                    body = qs.parse(string, {
+                        ...parse_options,
+                        charset: (charset || conditions.base_encoding).toLowerCase(),
+                    });
+                    if (!extended) body = drop_prototype_keys(body);
+                } catch (error) {
+                    // Reject with a 400 HTTP Response as the parsing failed or the depth limit was exceeded
+                    return await reject_body(
+                        request,
+                        response,
+                        conditions,
+                        error instanceof RangeError
+                            ? new BodyParserError(400, 'depth.exceeded', error.message, {
+                                  limit: 'depth',
+                                  expected: depth,
+                                  cause: error,
+                              })
+                            : new BodyParserError(400, 'entity.parse.failed', error.message, {
+                                  body: string,
+                                  cause: error,
+                              })
+                    );
+                }
+
+                // Validate the parsed body against the schema and apply any coerced values or defaults
+                if (validate_schema) {
+                    const { value, errors } = await validate_schema(body);
+                    if (errors)
+                        return await reject_body(
+                            request,
+                            response,
+                            conditions,
+                            new BodyParserError(
+                                422,
+                                'entity.validation.failed',
+                                'Request body failed schema validation',
+                                {
+                                    body,
+                                    errors,
+                                }
+                            )
+                        );
+
+                    body = value;
+                }
+
+                // Write the parsed body to the request body property
+                request.body = body;
+            }
+        },
+    });
+}
+
+module.exports = create_urlencoded_parser;
@@ -0,0 +1,70 @@
+const http = require('http');
+
+/**
+ * An Error which describes why an incoming request body was rejected by a body parser.
+ */
+class BodyParserError extends Error {
+    /**
+     * The HTTP status code which should be sent for this error.
+     * @type {Number}
+     */
+    status;
+
+    /**
+     * The type of this error (e.g. 'entity.too.large', 'encoding.unsupported', 'entity.parse.failed', 'entity.verify.failed').
+     * @type {String}
+     */
+    type;
+
+    /**
+     * Creates a new BodyParserError.
+     *
+     * @param {Number} status The HTTP status code which should be sent for this error.
+     * @param {String} type The type of this error.
+     * @param {String} message A human readable description of this error.
+     * @param {Object=} properties Additional properties such as `body`, `expected`, `received`, `limit` or `cause`.
+     */
+    constructor(status, type, message, properties = {}) {
+        super(message, properties.cause ? { cause: properties.cause } : undefined);
+        this.name = 'BodyParserError';
+        this.status = status;
+        this.type = type;
+
+        // Merge any additional properties which describe this error
+        for (const key in properties) if (key !== 'cause') this[key] = properties[key];
+    }
+}
+
+/**
+ * Sends an RFC 7807 problem details JSON response which describes the provided error.
+ * This is the default `onError` handler for all body parsers.
+ *
+ * @param {BodyParserError} error
+ * @param {HyperExpress.Request} request
+ * @param {HyperExpress.Response} response
+ */
+function send_problem(error, request, response) {
+    // Do not attempt to respond if the response has already been sent
+    if (response.initiated || response.completed) return;
+
+    // Build the problem details object with the relevant properties of the error
+    const problem = {
+        type: 'about:blank',
+        title: http.STATUS_CODES[error.status],
+        status: error.status,
+        detail: error.message,
+        code: error.type,
+    };
+    if (error.limit !== undefined) problem.limit = error.limit;
+    if (error.expected !== undefined) problem.expected = error.expected;
+    if (error.received !== undefined) problem.received = error.received;
+    if (error.errors !== undefined) problem.errors = error.errors;
+    if (error.line !== undefined) problem.line = error.line;
+
+    response.status(error.status).header('content-type', 'application/problem+json').send(JSON.stringify(problem));
+}
+
+module.exports = {
+    BodyParserError,
+    send_problem,
+};
@@ -0,0 +1,134 @@
+const diagnostics_channel = require('diagnostics_channel');
+
+// The lifecycle events which are emitted while parsing a request body
+const EVENTS = ['start', 'decompressed', 'verified', 'parsed', 'rejected'];
+
+// The diagnostics channels for each lifecycle event which exporters can subscribe to (e.g. 'hyper-express-body-parser:parsed')
+const CHANNELS = {};
+EVENTS.forEach((event) => (CHANNELS[event] = diagnostics_channel.channel(`hyper-express-body-parser:${event}`)));
+
+// The traces of the requests which are currently being parsed
+const TRACES = new WeakMap();
+
+// The global instrumentation handler which receives the events of all parsers
+let global_handler;
+
+/**
+ * @typedef {Object} ParserEvent
+ * @property {String} event - The name of the lifecycle event.
+ * @property {String} parser - The name of the parser which is parsing the body.
+ * @property {HyperExpress.Request} request - The request whose body is being parsed.
+ * @property {String} encoding - The content encoding of the body.
+ * @property {String=} charset - The charset of the body.
+ * @property {Number=} wire_bytes - The number of body bytes received on the wire.
+ * @property {Number=} inflated_bytes - The number of body bytes after inflation.
+ * @property {Number} duration - The number of milliseconds since parsing started.
+ * @property {BodyParserError=} error - The error which rejected the body for the 'rejected' event.
+ */
+
+/**
+ * Sets the global instrumentation handler which receives the lifecycle events of all parsers.
+ * Note! Events are always published to the 'hyper-express-body-parser:<event>' diagnostics channels when they have subscribers.
+ *
+ * @param {function(String, ParserEvent):void=} handler The handler to call with each event name and event, or undefined to remove the current handler.
+ */
+function set_instrumentation(handler) {
+    // Ensure the handler is a function when it exists
+    if (handler !== undefined && typeof handler !== 'function')
+        throw new Error('HyperExpress.BodyParser.setInstrumentation(handler) -> handler must be a function');
+
+    global_handler = handler;
+}
+
+/**
+ * Begins tracing the body parsing of the provided request if any instrumentation is listening.
+ *
+ * @param {HyperExpress.Request} request
+ * @param {ParserConditions} conditions
+ */
+function start_trace(request, conditions) {
+    // Do not trace requests when nothing is listening for events
+    const listening =
+        conditions.instrumentation || global_handler || EVENTS.some((event) => CHANNELS[event].hasSubscribers);
+    if (!listening) return;
+
+    // Estimate the wire bytes from the declared length until the actual bytes are known
+    const content_length = Number(request.headers['content-length']);
+    TRACES.set(request, {
+        conditions,
+        started: process.hrtime.bigint(),
+        encoding: (request.headers['content-encoding'] || 'identity').toLowerCase(),
+        charset: undefined,
+        wire_bytes: Number.isNaN(content_length) ? undefined : content_length,
+        inflated_bytes: undefined,
+    });
+
+    emit_event(request, 'start');
+}
+
+/**
+ * Updates the tracked properties of the trace for the provided request.
+ *
+ * @param {HyperExpress.Request} request
+ * @param {Object} properties
+ */
+function update_trace(request, properties) {
+    const trace = TRACES.get(request);
+    if (trace) Object.assign(trace, properties);
+}
+
+/**
+ * Emits a lifecycle event for the trace of the provided request.
+ * Note! The trace is ended after a 'parsed' or 'rejected' event.
+ *
+ * @param {HyperExpress.Request} request
+ * @param {String} event
+ * @param {Object=} properties
+ */
+function emit_event(request, event, properties) {
+    // Ensure the request is being traced
+    const trace = TRACES.get(request);
+    if (!trace) return;
+    if (event === 'parsed' || event === 'rejected') TRACES.delete(request);
+
+    // Build the event with the current state of the trace
+    const payload = {
+        event,
+        parser: trace.conditions.name,
+        request,
+        encoding: trace.encoding,
+        charset: trace.charset,
+        wire_bytes: trace.wire_bytes,
+        inflated_bytes: trace.inflated_bytes,
+        duration: Number(process.hrtime.bigint() - trace.started) / 1e6,
+        ...properties,
+    };
+
+    // Publish the event to the diagnostics channel and the instrumentation handlers
+    if (CHANNELS[event].hasSubscribers) CHANNELS[event].publish(payload);
+    if (trace.conditions.instrumentation) call_handler(trace.conditions.instrumentation, event, payload);
+    if (global_handler) call_handler(global_handler, event, payload);
+}
+
+/**
+ * Calls the provided instrumentation handler with an event without letting its errors abort the parsing of the body.
+ * Note! Errors are reported as a process warning as rethrowing them would crash the process.
+ *
+ * @param {function(String, ParserEvent):void} handler
+ * @param {String} event
+ * @param {ParserEvent} payload
+ */
+function call_handler(handler, event, payload) {
+    try {
+        handler(event, payload);
+    } catch (error) {
+        process.emitWarning(error instanceof Error ? error : new Error(String(error), { cause: error }));
+    }
+}
+
+module.exports = {
+    set_instrumentation,
+    start_trace,
+    update_trace,
+    emit_event,
+};
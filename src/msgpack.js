@@ -0,0 +1,204 @@
+const { BodyParserError } = require('./errors.js');
+
+/**
+ * @typedef {Object} MessagePackOptions
+ * @property {Number} max_depth - The maximum nesting depth of arrays and maps.
+ */
+
+/**
+ * Decodes the provided MessagePack data into a Javascript value.
+ * Binary data is decoded into Buffers, 64 bit integers beyond the safe integer range into BigInts, timestamps into Dates and map keys into strings.
+ * Other extension types are decoded into `{ type, data }` objects.
+ * Note! Every declared length is asserted against the remaining bytes before anything is allocated so the decoded size is bounded by the body size.
+ *
+ * @param {Buffer} buffer
+ * @param {MessagePackOptions} options
+ * @returns {*}
+ */
+function decode_msgpack(buffer, options) {
+    const { max_depth } = options;
+    let index = 0;
+
+    // Throws a SyntaxError describing the current position
+    const unexpected = (message) => {
+        throw new SyntaxError(`${message} in MessagePack at position ${index}`);
+    };
+
+    // Ensures the provided number of bytes are remaining in the buffer
+    const ensure = (length) => {
+        if (length > buffer.length - index) unexpected('Unexpected end of data');
+    };
+
+    // Ensures the nesting depth does not exceed the maximum depth
+    const enter = (depth) => {
+        if (depth > max_depth)
+            throw new BodyParserError(400, 'depth.exceeded', `MessagePack body exceeded the maxDepth of ${max_depth}`, {
+                limit: 'maxDepth',
+                expected: max_depth,
+            });
+    };
+
+    // Reads an unsigned big endian integer of the provided byte length
+    const read_uint = (length) => {
+        ensure(length);
+        index += length;
+        return buffer.readUIntBE(index - length, length);
+    };
+
+    // Reads the provided number of bytes as a slice of the buffer
+    const read_bytes = (length) => {
+        ensure(length);
+        return buffer.subarray(index, (index += length));
+    };
+
+    // Converts a 64 bit integer into a number or a BigInt when it is beyond the safe range
+    const safe_bigint = (value) =>
+        value <= BigInt(Number.MAX_SAFE_INTEGER) && value >= BigInt(Number.MIN_SAFE_INTEGER) ? Number(value) : value;
+
+    const read_array = (length, depth) => {
+        // Every item is at least one byte so the length can not exceed the remaining bytes
+        enter(depth + 1);
+        ensure(length);
+        const array = new Array(length);
+        for (let i = 0; i < length; i++) array[i] = read_value(depth + 1);
+        return array;
+    };
+
+    const read_map = (length, depth) => {
+        // Every key and value is at least one byte so the length can not exceed the remaining bytes
+        enter(depth + 1);
+        ensure(length * 2);
+        const object = {};
+        for (let i = 0; i < length; i++) {
+            const key = read_value(depth + 1);
+            if (typeof key !== 'string' && typeof key !== 'number' && typeof key !== 'bigint')
+                unexpected('Unsupported map key type');
+            const value = read_value(depth + 1);
+
+            // Define the key as an own property as assignment would change the prototype of the object
+            Object.defineProperty(object, String(key), { value, writable: true, enumerable: true, configurable: true });
+        }
+
+        return object;
+    };
+
+    const read_extension = (length) => {
+        ensure(1);
+        const type = buffer.readInt8(index++);
+        const data = read_bytes(length);
+
+        // Decode the timestamp extension type into a Date
+        if (type === -1) {
+            switch (length) {
+                case 4:
+                    return new Date(data.readUInt32BE(0) * 1000);
+                case 8: {
+                    const nanoseconds = data.readUInt32BE(0) >>> 2;
+                    const seconds = (data.readUInt32BE(0) & 0x3) * 2 ** 32 + data.readUInt32BE(4);
+                    return new Date(seconds * 1000 + nanoseconds / 1e6);
+                }
+                case 12:
+                    return new Date(Number(data.readBigInt64BE(4)) * 1000 + data.readUInt32BE(0) / 1e6);
+                default:
+                    unexpected('Invalid timestamp extension');
+            }
+        }
+
+        return { type, data: Buffer.from(data) };
+    };
+
+    const read_value = (depth) => {
+        ensure(1);
+        const byte = buffer[index++];
+
+        // Positive fixint, fixmap, fixarray, fixstr and negative fixint
+        if (byte < 0x80) return byte;
+        if (byte < 0x90) return read_map(byte & 0x0f, depth);
+        if (byte < 0xa0) return read_array(byte & 0x0f, depth);
+        if (byte < 0xc0) return read_bytes(byte & 0x1f).toString('utf8');
+        if (byte >= 0xe0) return byte - 0x100;
+
+        switch (byte) {
+            case 0xc0:
+                return null;
+            case 0xc2:
+                return false;
+            case 0xc3:
+                return true;
+            case 0xc4:
+            case 0xc5:
+            case 0xc6:
+                // Binary data with an 8, 16 or 32 bit length
+                return Buffer.from(read_bytes(read_uint(1 << (byte - 0xc4))));
+            case 0xc7:
+            case 0xc8:
+            case 0xc9:
+                // Extension with an 8, 16 or 32 bit length
+                return read_extension(read_uint(1 << (byte - 0xc7)));
+            case 0xca:
+                ensure(4);
+                index += 4;
+                return buffer.readFloatBE(index - 4);
+            case 0xcb:
+                ensure(8);
+                index += 8;
+                return buffer.readDoubleBE(index - 8);
+            case 0xcc:
+            case 0xcd:
+            case 0xce:
+                // Unsigned 8, 16 or 32 bit integer
+                return read_uint(1 << (byte - 0xcc));
+            case 0xcf:
+                ensure(8);
+                index += 8;
+                return safe_bigint(buffer.readBigUInt64BE(index - 8));
+            case 0xd0:
+                ensure(1);
+                return buffer.readInt8(index++);
+            case 0xd1:
+                ensure(2);
+                index += 2;
+                return buffer.readInt16BE(index - 2);
+            case 0xd2:
+                ensure(4);
+                index += 4;
+                return buffer.readInt32BE(index - 4);
+            case 0xd3:
+                ensure(8);
+                index += 8;
+                return safe_bigint(buffer.readBigInt64BE(index - 8));
+            case 0xd4:
+            case 0xd5:
+            case 0xd6:
+            case 0xd7:
+            case 0xd8:
+                // Fixed extension of 1, 2, 4, 8 or 16 bytes
+                return read_extension(1 << (byte - 0xd4));
+            case 0xd9:
+            case 0xda:
+            case 0xdb:
+                // String with an 8, 16 or 32 bit length
+                return read_bytes(read_uint(1 << (byte - 0xd9))).toString('utf8');
+            case 0xdc:
+            case 0xdd:
+                // Array with a 16 or 32 bit length
+                return read_array(read_uint(2 << (byte - 0xdc)), depth);
+            case 0xde:
+            case 0xdf:
+                // Map with a 16 or 32 bit length
+                return read_map(read_uint(2 << (byte - 0xde)), depth);
+            default:
+                index--;
+                unexpected(`Unexpected byte 0x${byte.toString(16)}`);
+        }
+    };
+
+    // Decode the whole body and ensure there is nothing after the value
+    const result = read_value(0);
+    if (index < buffer.length) unexpected('Unexpected data after the value');
+    return result;
+}
+
+module.exports = {
+    decode_msgpack,
+};
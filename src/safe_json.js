@@ -0,0 +1,307 @@
+const { BodyParserError } = require('./errors.js');
+
+// Matches a JSON number token at a specific position
+const NUMBER_PATTERN = /-?(?:0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?/y;
+
+// Quickly determines whether a JSON string may contain prototype poisoning keys including escaped variants
+const PROTO_PATTERN =
+    /"(?:_|\\u005[Ff])(?:_|\\u005[Ff])(?:p|\\u0070)(?:r|\\u0072)(?:o|\\u006[Ff])(?:t|\\u0074)(?:o|\\u006[Ff])(?:_|\\u005[Ff])(?:_|\\u005[Ff])"/;
+const CONSTRUCTOR_PATTERN =
+    /"(?:c|\\u0063)(?:o|\\u006[Ff])(?:n|\\u006[Ee])(?:s|\\u0073)(?:t|\\u0074)(?:r|\\u0072)(?:u|\\u0075)(?:c|\\u0063)(?:t|\\u0074)(?:o|\\u006[Ff])(?:r|\\u0072)"/;
+
+/**
+ * @typedef {Object} SafeJSONOptions
+ * @property {Function=} reviver - The reviver which is applied to every parsed value.
+ * @property {String} proto_action - The action to take for prototype poisoning keys. One of 'error', 'remove' or 'ignore'.
+ * @property {Number} max_depth - The maximum nesting depth of objects and arrays.
+ * @property {Number} max_keys - The maximum number of object keys across the whole document.
+ * @property {String} bigint - How to represent integers beyond the safe integer range. One of 'string', 'bigint' or 'lossy'.
+ */
+
+/**
+ * Returns whether the provided key and value are a prototype poisoning pair.
+ *
+ * @param {String} key
+ * @param {*} value
+ * @returns {Boolean}
+ */
+function is_poisoned(key, value) {
+    if (key === '__proto__') return true;
+    return (
+        key === 'constructor' &&
+        value !== null &&
+        typeof value === 'object' &&
+        Object.prototype.hasOwnProperty.call(value, 'prototype')
+    );
+}
+
+/**
+ * Creates the BodyParserError which is thrown when a prototype poisoning key is found.
+ *
+ * @param {String} key
+ * @returns {BodyParserError}
+ */
+function poisoned_error(key) {
+    return new BodyParserError(400, 'prototype.poisoning', `Object contains forbidden prototype property "${key}"`, {
+        received: key,
+    });
+}
+
+/**
+ * Removes or rejects prototype poisoning keys from an already parsed value.
+ *
+ * @param {*} root
+ * @param {String} action
+ */
+function filter_prototypes(root, action) {
+    // Walk the parsed value iteratively to avoid deep recursion
+    const stack = [root];
+    while (stack.length > 0) {
+        const node = stack.pop();
+        if (node === null || typeof node !== 'object') continue;
+
+        for (const key of Object.keys(node)) {
+            const value = node[key];
+            if (is_poisoned(key, value)) {
+                if (action === 'error') throw poisoned_error(key);
+                delete node[key];
+            } else if (value !== null && typeof value === 'object') {
+                stack.push(value);
+            }
+        }
+    }
+}
+
+/**
+ * Applies the provided reviver to every value of the parsed result like the JSON.parse function does.
+ *
+ * @param {Object} holder
+ * @param {String} key
+ * @param {Function} reviver
+ * @returns {*}
+ */
+function revive(holder, key, reviver) {
+    const value = holder[key];
+    if (value !== null && typeof value === 'object') {
+        const keys = Array.isArray(value) ? value.map((_, index) => String(index)) : Object.keys(value);
+        for (const child of keys) {
+            const revived = revive(value, child, reviver);
+            if (revived === undefined) {
+                delete value[child];
+            } else {
+                value[child] = revived;
+            }
+        }
+    }
+
+    return reviver.call(holder, key, value);
+}
+
+/**
+ * Parses the provided JSON text while enforcing the depth, key count, prototype and BigInt options.
+ * Note! Throws a SyntaxError for malformed JSON and a BodyParserError when a limit is exceeded.
+ *
+ * @param {String} text
+ * @param {SafeJSONOptions} options
+ * @returns {*}
+ */
+function parse_strict(text, options) {
+    const { proto_action, max_depth, max_keys, bigint } = options;
+    let index = 0;
+    let keys = 0;
+
+    // Throws a SyntaxError describing the current position
+    const unexpected = () => {
+        const token = index < text.length ? `token ${text[index]}` : 'end';
+        throw new SyntaxError(`Unexpected ${token} in JSON at position ${index}`);
+    };
+
+    // Skips any JSON whitespace at the current position
+    const skip_whitespace = () => {
+        while (index < text.length) {
+            const code = text.charCodeAt(index);
+            if (code !== 32 && code !== 9 && code !== 10 && code !== 13) break;
+            index++;
+        }
+    };
+
+    // Ensures the nesting depth does not exceed the maximum depth
+    const enter = (depth) => {
+        if (depth > max_depth)
+            throw new BodyParserError(400, 'depth.exceeded', `JSON body exceeded the maxDepth of ${max_depth}`, {
+                limit: 'maxDepth',
+                expected: max_depth,
+            });
+    };
+
+    const parse_string = () => {
+        // Find the closing quote of this string while skipping escaped characters
+        const start = index++;
+        let escaped = false;
+        while (index < text.length) {
+            const char = text[index++];
+            if (char === '\\') {
+                escaped = true;
+                index++;
+            } else if (char === '"') {
+                // Decode escaped strings with JSON.parse which validates the escape sequences
+                const raw = text.slice(start, index);
+                return escaped ? JSON.parse(raw) : raw.slice(1, -1);
+            } else if (char < ' ') {
+                index--;
+                unexpected();
+            }
+        }
+        unexpected();
+    };
+
+    const parse_number = () => {
+        NUMBER_PATTERN.lastIndex = index;
+        const match = NUMBER_PATTERN.exec(text);
+        if (!match) unexpected();
+        index += match[0].length;
+
+        // Preserve integers beyond the safe integer range as requested
+        const number = Number(match[0]);
+        if (bigint !== 'lossy' && !match[1] && !match[2] && !Number.isSafeInteger(number))
+            return bigint === 'bigint' ? BigInt(match[0]) : match[0];
+        return number;
+    };
+
+    const parse_literal = (literal, value) => {
+        if (text.startsWith(literal, index)) {
+            index += literal.length;
+            return value;
+        }
+        unexpected();
+    };
+
+    const parse_array = (depth) => {
+        enter(depth);
+        index++;
+        const array = [];
+        skip_whitespace();
+        if (text[index] === ']') {
+            index++;
+            return array;
+        }
+
+        while (true) {
+            array.push(parse_value(depth));
+            skip_whitespace();
+            if (text[index] === ',') {
+                index++;
+            } else if (text[index] === ']') {
+                index++;
+                return array;
+            } else {
+                unexpected();
+            }
+        }
+    };
+
+    const parse_object = (depth) => {
+        enter(depth);
+        index++;
+        const object = {};
+        skip_whitespace();
+        if (text[index] === '}') {
+            index++;
+            return object;
+        }
+
+        while (true) {
+            // Parse the key of this property
+            skip_whitespace();
+            if (text[index] !== '"') unexpected();
+            const key = parse_string();
+            skip_whitespace();
+            if (text[index] !== ':') unexpected();
+            index++;
+
+            // Ensure the total number of keys does not exceed the maximum keys
+            if (++keys > max_keys)
+                throw new BodyParserError(413, 'keys.too.many', `JSON body exceeded the maxKeys of ${max_keys}`, {
+                    limit: 'maxKeys',
+                    expected: max_keys,
+                });
+
+            // Parse the value of this property and handle any prototype poisoning keys
+            const value = parse_value(depth);
+            if (proto_action !== 'ignore' && is_poisoned(key, value)) {
+                if (proto_action === 'error') throw poisoned_error(key);
+            } else if (key === '__proto__') {
+                // Define the key as an own property as assignment would change the prototype of the object
+                Object.defineProperty(object, key, { value, writable: true, enumerable: true, configurable: true });
+            } else {
+                object[key] = value;
+            }
+
+            skip_whitespace();
+            if (text[index] === ',') {
+                index++;
+            } else if (text[index] === '}') {
+                index++;
+                return object;
+            } else {
+                unexpected();
+            }
+        }
+    };
+
+    const parse_value = (depth) => {
+        skip_whitespace();
+        const char = text[index];
+        switch (char) {
+            case '{':
+                return parse_object(depth + 1);
+            case '[':
+                return parse_array(depth + 1);
+            case '"':
+                return parse_string();
+            case 't':
+                return parse_literal('true', true);
+            case 'f':
+                return parse_literal('false', false);
+            case 'n':
+                return parse_literal('null', null);
+            default:
+                if (char === '-' || (char >= '0' && char <= '9')) return parse_number();
+                unexpected();
+        }
+    };
+
+    // Parse the whole text and ensure there is nothing but whitespace after the value
+    const result = parse_value(0);
+    skip_whitespace();
+    if (index < text.length) unexpected();
+    return result;
+}
+
+/**
+ * Safely parses the provided JSON text with protection against prototype poisoning, excessive nesting and key counts.
+ * Note! The native JSON.parse function is used whenever no depth, key or BigInt options require the strict parser.
+ *
+ * @param {String} text
+ * @param {SafeJSONOptions} options
+ * @returns {*}
+ */
+function safe_parse(text, options) {
+    const { reviver, proto_action, max_depth, max_keys, bigint } = options;
+
+    // Use the native parser when only prototype poisoning protection is required
+    if (bigint === 'lossy' && max_depth === Infinity && max_keys === Infinity) {
+        const result = JSON.parse(text, reviver);
+        if (proto_action !== 'ignore' && (PROTO_PATTERN.test(text) || CONSTRUCTOR_PATTERN.test(text)))
+            filter_prototypes(result, proto_action);
+        return result;
+    }
+
+    // Use the strict parser and apply the reviver afterwards
+    const result = parse_strict(text, options);
+    return reviver ? revive({ '': result }, '', reviver) : result;
+}
+
+module.exports = {
+    safe_parse,
+};
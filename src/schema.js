@@ -0,0 +1,87 @@
+const { isDeepStrictEqual } = require('util');
+const Ajv = require('ajv');
+
+// The shared Ajv instance which compiles all JSON Schemas
+// Note: Types are coerced and defaults are applied in place so they are reflected on the parsed body
+const ajv = new Ajv({
+    allErrors: true,
+    coerceTypes: true,
+    useDefaults: true,
+});
+
+/**
+ * @typedef {Object} SchemaError
+ * @property {String} path - The JSON Pointer path of the value which failed validation or of the missing property.
+ * @property {String} message - A human readable description of the validation failure.
+ */
+
+/**
+ * @typedef {Object} SchemaResult
+ * @property {*} value - The validated value with any coercion and defaults applied.
+ * @property {Array<SchemaError>=} errors - The validation errors if the value is invalid.
+ */
+
+/**
+ * @typedef {Object} SchemaValidator
+ * @property {function(*):SchemaResult} validate - Validates the provided value.
+ */
+
+/**
+ * Escapes the provided property name to be used as a JSON Pointer reference token.
+ *
+ * @param {String} property
+ * @returns {String}
+ */
+function escape_pointer(property) {
+    return property.replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Compiles the provided schema into a function which validates a parsed body.
+ * The schema can either be a JSON Schema object or a validator which implements the `validate(value) -> { value, errors }` adapter interface.
+ *
+ * @param {Object|SchemaValidator} schema
+ * @returns {function(*):Promise<SchemaResult>}
+ */
+function compile_schema(schema) {
+    // Use the adapter interface directly if the schema provides its own validate method
+    if (typeof schema.validate === 'function') {
+        return async (value) => {
+            const result = (await schema.validate(value)) || {};
+            const errors = Array.isArray(result.errors) && result.errors.length > 0 ? result.errors : undefined;
+            return {
+                value: result.value === undefined ? value : result.value,
+                errors,
+            };
+        };
+    }
+
+    // Compile the JSON Schema once with Ajv
+    // Note: Schemas with an $id are registered on the shared Ajv instance so the same schema is reused by any parser which uses its $id,
+    // while a different schema with an $id which is already registered is left to Ajv to reject
+    const registered = schema.$id !== undefined ? ajv.getSchema(schema.$id) : undefined;
+    const validate =
+        registered && (registered.schema === schema || isDeepStrictEqual(registered.schema, schema))
+            ? registered
+            : ajv.compile(schema);
+    return async (value) => {
+        const valid = validate(value);
+        return {
+            value,
+            errors: valid
+                ? undefined
+                : validate.errors.map(({ instancePath, params, message }) => ({
+                      // Point to the missing property rather than the object which is missing it
+                      path:
+                          params.missingProperty !== undefined
+                              ? `${instancePath}/${escape_pointer(params.missingProperty)}`
+                              : instancePath || '/',
+                      message,
+                  })),
+        };
+    };
+}
+
+module.exports = {
+    compile_schema,
+};
@@ -1,4 +1,6 @@
 const zlib = require('zlib');
+const bytes = require('bytes');
+const { Transform } = require('stream');
 const iconv = require('iconv-lite');
 const unpipe = require('unpipe');
 const destroy = require('destroy');
@@ -6,15 +8,233 @@ const type_is = require('type-is');
 const raw_body = require('raw-body');
 const content_type = require('content-type');
 
+const { BodyParserError, send_problem } = require('./errors.js');
+const { start_trace, update_trace, emit_event } = require('./instrumentation.js');
+
+// The decompression stream factories for each supported content coding
+const DECODERS = {
+    deflate: () => zlib.createInflate(),
+    gzip: () => zlib.createGunzip(),
+    br: () => zlib.createBrotliDecompress(),
+};
+
+// Zstandard decompression is only available in newer Node runtimes
+if (typeof zlib.createZstdDecompress === 'function') DECODERS.zstd = () => zlib.createZstdDecompress();
+
+// The errors which rejected the body of each request so lazily parsed bodies can surface them
+const REJECTIONS = new WeakMap();
+
+// The aliases of charsets which are verified by name so equivalent labels are not rejected (e.g. 'utf8' for 'utf-8')
+const CHARSET_ALIASES = new Map([
+    ['utf8', 'utf-8'],
+    ['unicode-1-1-utf-8', 'utf-8'],
+    ['latin1', 'iso-8859-1'],
+    ['l1', 'iso-8859-1'],
+    ['iso8859-1', 'iso-8859-1'],
+    ['iso_8859-1', 'iso-8859-1'],
+    ['iso-ir-100', 'iso-8859-1'],
+    ['cp819', 'iso-8859-1'],
+    ['ibm819', 'iso-8859-1'],
+]);
+
+// The conditions which can be functions that are resolved from each request before its body is streamed
+const DYNAMIC_CONDITIONS = ['inflate', 'limit', 'inflated_limit', 'base_encoding'];
+
+// The resolvers of the limit functions so a function shared by multiple limits is only resolved once per request
+const LIMIT_RESOLVERS = new WeakMap();
+
 /**
  * @typedef {Object} ParserConditions
- * @property {Boolean} inflate - Whether or not to inflate the body.
- * @property {Number} limit - The maximum size of the body in bytes.
+ * @property {String} name - The name of the parser which is parsing the body.
+ * @property {(Boolean|Function)} inflate - Whether or not to inflate the body.
+ * @property {Array<String>=} encodings - The content codings which are allowed to be inflated. Defaults to all supported codings.
+ * @property {(Number|Function)} limit - The maximum size of the body in bytes as received on the wire.
+ * @property {(Number|Function)=} inflated_limit - The maximum size of the body in bytes after it has been inflated. Defaults to the limit.
+ * @property {Number=} max_ratio - The maximum ratio of inflated bytes to wire bytes before the body is rejected.
  * @property {function():boolean} match_type - A function that returns whether the incoming request should be parsed or not based on content type.
- * @property {function():boolean=} verify_body - A function that returns whether the incoming body should be parsed or not based on the request.
- * @property {String=} base_encoding - The base encoding to use when parsing the incoming body.
+ * @property {function():(boolean|Promise<boolean>)=} verify_body - A function that returns whether the incoming body should be parsed or not based on the request.
+ * @property {(String|Function)=} base_encoding - The base encoding to use when parsing the incoming body.
  * @property {Function=} verify_encoding - A function that is used to verify the charset encoding of an incoming request.
+ * @property {(Function|String)=} on_error - A function that is called to respond to rejected requests or 'passthrough' to throw errors to the global error handler.
+ * @property {Function=} instrumentation - A function that is called with the lifecycle events of each parsed body.
+ * @property {Boolean=} lazy - Whether or not to defer parsing the body until the Request.parsedBody() method is called.
+ * @property {Boolean=} require_length - Whether or not to reject bodies which do not declare a Content-Length.
+ * @property {Boolean=} binary - Whether or not the body is a binary format which is never decoded with a charset.
+ */
+
+/**
+ * The options which are shared by the parsers and validated by the create_conditions() method.
+ * Note! Each parser documents its own `type`, `limit` and `verify` options as their defaults and support differ.
+ *
+ * @typedef {Object} ParserOptions
+ * @property {(Boolean|function(HyperExpress.Request):(Boolean|Promise<Boolean>))=} inflate - When set to `true`, then deflated (compressed) bodies will be inflated; when `false`, deflated bodies are rejected. Can be a function which resolves the value for each request. Defaults to `true`.
+ * @property {Array<String>=} encodings - The content codings (e.g. 'gzip', 'deflate', 'br', 'zstd') that will be inflated. Bodies compressed with any other coding are rejected with a 415 HTTP response. Defaults to all codings supported by the Node runtime.
+ * @property {(String|Number|function(HyperExpress.Request):(String|Number|Promise<String|Number>))=} inflatedLimit - Controls the maximum request body size after a compressed body has been inflated. Accepts the same values as `limit`. Defaults to the `limit` option.
+ * @property {Boolean=} requireLength - When set to `true`, bodies without a Content-Length header (e.g. chunked uploads) are rejected with a 411 HTTP response. Defaults to `false`.
+ * @property {Number=} maxRatio - When set, compressed bodies which inflate to more than this many times their size on the wire are rejected with a 413 HTTP response as soon as the ratio is exceeded.
+ * @property {(function(BodyParserError, HyperExpress.Request, HyperExpress.Response):(void|Promise<void>)|String)=} onError - When set, the onError callback is called to respond to rejected requests instead of sending the default RFC 7807 problem details JSON response. When set to 'passthrough', errors are thrown to the global HyperExpress error handler instead.
+ * @property {function(String, ParserEvent):void=} instrumentation - When set, this callback is called with each lifecycle event ('start', 'decompressed', 'verified', 'parsed' and 'rejected') of the bodies parsed by this parser. The events are also published to the 'hyper-express-body-parser:<event>' diagnostics channels.
+ * @property {Boolean=} lazy - When set to `true`, the body is not read when the middleware runs. Instead a memoized Request.parsedBody() method is installed which reads and parses the body on first use and resolves with the Request.body property. Rejected bodies are handled as usual and the Promise is rejected with the BodyParserError. Unread bodies are flushed once the response finishes. Requests with nothing to parse also get a Request.parsedBody() method which resolves with the default Request.body property. Only supported by the raw(), text() and json() parsers and custom parsers. Defaults to `false`.
+ */
+
+/**
+ * Parses the provided limit option into a number of bytes.
+ * Note! Limit functions are wrapped so the value they resolve for each request is parsed and validated as well.
+ *
+ * @param {(String|Number|function(HyperExpress.Request):(String|Number|Promise<String|Number>))} limit
+ * @returns {(Number|function(HyperExpress.Request):Promise<Number>)}
+ */
+function parse_limit(limit) {
+    // Parse static limits immediately
+    if (typeof limit !== 'function') return typeof limit === 'number' ? limit : bytes.parse(limit);
+
+    // Reuse the resolver for this limit function so it is only called once per request
+    if (!LIMIT_RESOLVERS.has(limit))
+        LIMIT_RESOLVERS.set(limit, async (request) => {
+            const resolved = await limit(request);
+
+            // Ensure the resolved limit is a valid number of bytes as every body would otherwise be rejected
+            // Note: This error is thrown to the global error handler as it is a configuration error
+            const parsed = typeof resolved === 'number' || typeof resolved === 'string' ? parse_limit(resolved) : null;
+            if (typeof parsed !== 'number' || isNaN(parsed) || parsed < 0)
+                throw new Error(
+                    `HyperExpress.BodyParser -> limit functions must resolve a number of bytes or a bytes string but resolved "${resolved}"`
+                );
+
+            return parsed;
+        });
+
+    return LIMIT_RESOLVERS.get(limit);
+}
+
+/**
+ * Parses the provided inflate option into a boolean.
+ * Note! Inflate functions are wrapped so the value they resolve for each request is parsed as well.
+ *
+ * @param {(Boolean|function(HyperExpress.Request):(Boolean|Promise<Boolean>))} inflate
+ * @returns {(Boolean|function(HyperExpress.Request):Promise<Boolean>)}
  */
+function parse_inflate(inflate) {
+    if (typeof inflate === 'function') return async (request) => (await inflate(request)) === true;
+    return inflate === true;
+}
+
+/**
+ * Returns whether the provided value is a media type, an Array of media types or a function which matches requests.
+ *
+ * @param {*} type
+ * @returns {Boolean}
+ */
+function is_media_type(type) {
+    if (Array.isArray(type)) return type.length > 0 && type.every((item) => typeof item === 'string');
+    return typeof type === 'string' || typeof type === 'function';
+}
+
+/**
+ * Validates the options which are shared by the parsers and builds the conditions they control.
+ * Note! Parsers validate their own options and extend the returned conditions with their own (e.g. the base encoding).
+ *
+ * @param {String} name - The name of the parser which is used in its conditions and in error messages.
+ * @param {ParserOptions} options - The options object of the parser.
+ * @param {Object} settings - The defaults of the parser and the shared options it supports.
+ * @param {(String|Array<String>|Function)} settings.type - The media type which the parser parses by default.
+ * @param {String=} settings.limit - The limit of the parser by default. Defaults to '100kb'.
+ * @param {Boolean=} settings.verify - Whether the parser supports the verify option. Defaults to `false`.
+ * @param {Boolean=} settings.lazy - Whether the parser supports the lazy option. Defaults to `false`.
+ * @returns {ParserConditions}
+ */
+function create_conditions(name, options, settings) {
+    // Destructure the settings and the options object with the defaults of the parser
+    const {
+        type: default_type,
+        limit: default_limit = '100kb',
+        verify: verifiable = false,
+        lazy: deferrable = false,
+    } = settings;
+    const {
+        inflate = true,
+        encodings,
+        limit = default_limit,
+        inflatedLimit = limit,
+        maxRatio,
+        type = default_type,
+        verify,
+        onError,
+        instrumentation,
+        requireLength = false,
+        lazy = false,
+    } = options;
+    const error_prefix = `HyperExpress.BodyParser.${name}(options) -> options`;
+
+    // Ensure the type property is either a string, an Array of Strings or a function
+    if (!is_media_type(type)) throw new Error(`${error_prefix}.type must be a string, an Array of Strings or function`);
+
+    // Ensure the verify property is a function when it exists
+    if (verifiable && verify && typeof verify !== 'function')
+        throw new Error(`${error_prefix}.verify must be a function`);
+
+    // Ensure the encodings property is an Array of Strings when it exists
+    if (encodings && (!Array.isArray(encodings) || encodings.some((encoding) => typeof encoding !== 'string')))
+        throw new Error(`${error_prefix}.encodings must be an Array of Strings`);
+
+    // Ensure the maxRatio property is a positive number when it exists
+    if (maxRatio !== undefined && (typeof maxRatio !== 'number' || isNaN(maxRatio) || maxRatio <= 0))
+        throw new Error(`${error_prefix}.maxRatio must be a positive number`);
+
+    // Ensure the onError property is a function or 'passthrough' when it exists
+    if (onError !== undefined && typeof onError !== 'function' && onError !== 'passthrough')
+        throw new Error(`${error_prefix}.onError must be a function or 'passthrough'`);
+
+    // Ensure the instrumentation property is a function when it exists
+    if (instrumentation && typeof instrumentation !== 'function')
+        throw new Error(`${error_prefix}.instrumentation must be a function`);
+
+    // Ensure the requireLength property is a boolean
+    if (typeof requireLength !== 'boolean') throw new Error(`${error_prefix}.requireLength must be a boolean`);
+
+    // Ensure the lazy property is a boolean
+    if (deferrable && typeof lazy !== 'boolean') throw new Error(`${error_prefix}.lazy must be a boolean`);
+
+    // Generate parsed properties from the options utilized during parsing
+    const conditions = {
+        name,
+        inflate: parse_inflate(inflate),
+        encodings: encodings && encodings.map((encoding) => encoding.toLowerCase()),
+        limit: parse_limit(limit),
+        inflated_limit: parse_limit(inflatedLimit),
+        max_ratio: maxRatio,
+        require_length: requireLength,
+        match_type: typeof type === 'function' ? type : (req) => Boolean(type_is.is(req.headers['content-type'], type)),
+        on_error: onError,
+        instrumentation,
+    };
+    if (verifiable) conditions.verify_body = verify;
+    if (deferrable) conditions.lazy = lazy;
+
+    return conditions;
+}
+
+/**
+ * Resolves the conditions which are functions into their values for the provided request.
+ *
+ * @param {HyperExpress.Request} request
+ * @param {ParserConditions} conditions
+ * @returns {Promise<ParserConditions>}
+ */
+async function resolve_conditions(request, conditions) {
+    const resolved = { ...conditions };
+    const values = new Map();
+    for (const key of DYNAMIC_CONDITIONS) {
+        const condition = conditions[key];
+        if (typeof condition !== 'function') continue;
+
+        // Resolve each function once even if it is shared by multiple conditions
+        if (!values.has(condition)) values.set(condition, await condition(request));
+        resolved[key] = values.get(condition);
+    }
+
+    return resolved;
+}
 
 /**
  * @typedef {Object} BodyAttempt
@@ -22,6 +242,17 @@ const content_type = require('content-type');
  * @property {String} charset - The charset encoding of the body data.
  */
 
+/**
+ * Returns whether an incoming request has a body to parse.
+ * Note! Requests with a malformed Content-Length are considered to have a body so they can be rejected by the preflight checks.
+ *
+ * @param {HyperExpress.Request} request
+ * @returns {Boolean}
+ */
+function has_body(request) {
+    return type_is.hasBody(request) || request.headers['content-length'] !== undefined;
+}
+
 /**
  * Returns whether an incoming request should be parsed or not.
  *
@@ -34,10 +265,12 @@ function validate_request(request, conditions) {
     const { match_type } = conditions;
 
     // Ensure the request body has not already been received/parsed
-    if (request.received) return false;
+    // Note: HyperExpress does not stream chunked bodies so they must still be validated to be rejected when a length is required
+    if (request.received && !(conditions.require_length && request.headers['content-length'] === undefined))
+        return false;
 
     // Do not parse the request if there is no body to parse
-    if (!type_is.hasBody(request)) return false;
+    if (!has_body(request)) return false;
 
     // Do not parse the request if it doesn't match the appropriate type
     if (!match_type(request)) return false;
@@ -45,6 +278,497 @@ function validate_request(request, conditions) {
     return true;
 }
 
+/**
+ * @typedef {Object} ParserHandlers
+ * @property {function(HyperExpress.Request):void} initialize - A function that initializes the default body properties of the request.
+ * @property {function(HyperExpress.Request, HyperExpress.Response, ParserConditions):Promise<void>} parse - A function that parses the incoming body into the body properties of the request with the conditions resolved for the request.
+ */
+
+/**
+ * Defers parsing the body of a request until the Request.parsedBody() method is first called.
+ * The body is parsed eagerly when its declared length already exceeds the limit so it is rejected without waiting for the Request.parsedBody() method.
+ * Note! The body is flushed once the response finishes if it was never read.
+ *
+ * @param {HyperExpress.Request} request
+ * @param {HyperExpress.Response} response
+ * @param {ParserConditions} conditions
+ * @param {function(HyperExpress.Request, HyperExpress.Response, ParserConditions):Promise<void>} parse
+ * @returns {Promise<void>}
+ */
+async function defer_body(request, response, conditions, parse) {
+    // Resolves with the parsed body or rejects with the error which has already been handled if the body was rejected
+    const settle = () => {
+        const error = REJECTIONS.get(request);
+        if (error) throw error;
+        return request.body;
+    };
+
+    // Parse the body immediately if it is declared to be larger than the limit
+    const content_length = Number(request.headers['content-length']);
+    if (content_length > conditions.limit) {
+        request.parsedBody = async () => settle();
+        return await parse(request, response, conditions);
+    }
+
+    // Install a memoized method which parses the body on first use and resolves with the parsed body
+    let promise;
+    request.parsedBody = () => {
+        if (!promise) promise = parse(request, response, conditions).then(settle);
+        return promise;
+    };
+
+    // Flush the body once the response finishes if it was never read
+    response.once('finish', () => {
+        if (!promise) request._stream_flush();
+    });
+}
+
+/**
+ * Installs a Request.parsedBody() method which resolves with the default body when a lazy parser has nothing to parse.
+ * Note! A method which was already installed by another lazy parser is kept so it still parses the body.
+ *
+ * @param {HyperExpress.Request} request
+ */
+function defer_default(request) {
+    if (request.parsedBody === undefined) request.parsedBody = async () => request.body;
+}
+
+/**
+ * Returns the provided error so the middleware resolves with it and HyperExpress pipes it to the global error handler.
+ * Note! HyperExpress does not catch the rejection of the Promise it chains to continue with the next handler,
+ * so a rejected middleware would also cause an unhandled rejection. Thrown values which are not errors are wrapped for the same reason.
+ *
+ * @param {*} error
+ * @returns {Error}
+ */
+function passthrough_error(error) {
+    if (error instanceof Error) return error;
+    return new Error(String(error), { cause: error });
+}
+
+/**
+ * Creates a body parsing middleware which parses incoming requests that are validated against the provided conditions.
+ * Note! The conditions and handlers are exposed on the middleware so parsers can be composed without validating a request multiple times.
+ *
+ * @param {ParserConditions} conditions
+ * @param {ParserHandlers} handlers
+ * @returns {function(HyperExpress.Request, HyperExpress.Response):Promise<void>}
+ */
+function create_middleware(conditions, handlers) {
+    const { initialize, parse } = handlers;
+
+    // Determine whether any of the conditions must be resolved for each request
+    // Note: Static conditions are used directly so they do not add any overhead
+    const dynamic = DYNAMIC_CONDITIONS.some((key) => typeof conditions[key] === 'function');
+    const resolve = (request) => (dynamic ? resolve_conditions(request, conditions) : conditions);
+
+    // Trace the lifecycle of each parsed body for the instrumentation
+    const traced_parse = async (request, response, resolved) => {
+        start_trace(request, conditions);
+        await parse(request, response, resolved || (await resolve(request)));
+
+        // Note: The trace has already ended if the body was rejected while parsing
+        emit_event(request, 'parsed');
+    };
+
+    // Parse the body of a validated request or defer parsing it until it is read when the parser is lazy
+    const handle = async (request, response) => {
+        if (conditions.lazy) {
+            await defer_body(request, response, await resolve(request), traced_parse);
+        } else {
+            await traced_parse(request, response);
+        }
+    };
+
+    const middleware = async (request, response) => {
+        // Initialize the default body properties of the request
+        initialize(request);
+
+        // Validate this request to determine if we should parse it
+        // Note: This method will automatically send the appropriate error HTTP responses under appropriate scenarios
+        try {
+            if (validate_request(request, conditions)) {
+                await handle(request, response);
+            } else if (conditions.lazy) {
+                defer_default(request);
+            }
+        } catch (error) {
+            return passthrough_error(error);
+        }
+    };
+
+    // Expose the conditions and handlers for composing parsers
+    middleware._conditions = conditions;
+    middleware._initialize = initialize;
+    middleware._parse = handle;
+    return middleware;
+}
+
+/**
+ * Returns the charset of the incoming request body or the base encoding of the provided conditions if none is specified.
+ * Note! The charset is lowercased and known aliases are normalized to their canonical name.
+ *
+ * @param {HyperExpress.Request} request
+ * @param {ParserConditions} conditions
+ * @returns {String|undefined}
+ */
+function get_charset(request, conditions) {
+    const { charset } = content_type.parse(request.headers['content-type']).parameters;
+    if (!charset) return conditions.base_encoding;
+
+    const normalized = charset.toLowerCase();
+    return CHARSET_ALIASES.get(normalized) || normalized;
+}
+
+/**
+ * Rejects an incoming request with the provided error through the onError handler of the provided conditions.
+ * Note! This method will throw the error when the handler is 'passthrough' so it can be caught by the global error handler.
+ *
+ * @param {HyperExpress.Request} request
+ * @param {HyperExpress.Response} response
+ * @param {ParserConditions} conditions
+ * @param {BodyParserError} error
+ * @returns {Promise<void>}
+ */
+async function reject_body(request, response, conditions, error) {
+    // Destructure the conditions object with relevant properties
+    const { on_error = send_problem } = conditions;
+
+    // Record the rejection so it does not happen silently
+    REJECTIONS.set(request, error);
+    emit_event(request, 'rejected', { error });
+
+    // Throw the error to the global error handler in passthrough mode
+    if (on_error === 'passthrough') throw error;
+
+    await on_error(error, request, response);
+
+    // Discard any remaining body data as HyperExpress holds the response until the whole body has been received
+    // Note: The next handlers would otherwise run and respond to the request a second time
+    await discard_body(request, response);
+}
+
+/**
+ * Marks the incoming body of a request which exceeded its limit to be flushed and rejects it with a 413 error once it has been flushed.
+ * Note! HyperExpress holds any response until the body has been flushed and then sends an empty 413 response unless one was already initiated,
+ * so the request is rejected synchronously from the final 'limit' event.
+ *
+ * @param {HyperExpress.Request} request
+ * @param {HyperExpress.Response} response
+ * @param {ParserConditions} conditions
+ * @param {Number=} declared_length The declared length of the body which is reported instead of the flushed bytes.
+ * @returns {Promise<void>}
+ */
+function reject_limit(request, response, conditions, declared_length) {
+    const { limit } = conditions;
+    return new Promise((resolve, reject) => {
+        const on_limit = (bytes, flushed) => {
+            // Ensure the body has been completely flushed
+            if (!flushed) return;
+            request.removeListener('limit', on_limit);
+
+            // Reject the request signifying that the request body is too large
+            const received = declared_length === undefined ? bytes : declared_length;
+            update_trace(request, { wire_bytes: received });
+            reject_body(
+                request,
+                response,
+                conditions,
+                new BodyParserError(413, 'entity.too.large', `Request body exceeded the limit of ${limit} bytes`, {
+                    limit: 'limit',
+                    expected: limit,
+                    received,
+                })
+            ).then(resolve, reject);
+        };
+        request.on('limit', on_limit);
+
+        // Mark the oversized body to be flushed by HyperExpress
+        request._stream_with_limit(response, limit);
+    });
+}
+
+/**
+ * Creates a Transform stream which tracks the inflated bytes of a decompressed body against the bytes received on the wire.
+ * The stream is errored as soon as the inflated size or the inflation ratio exceeds the provided conditions.
+ *
+ * @param {HyperExpress.Request} request
+ * @param {ParserConditions} conditions
+ * @returns {Transform}
+ */
+function create_inflate_guard(request, conditions) {
+    // Destructure appropriate properties from the conditions object
+    const { limit, inflated_limit = limit, max_ratio } = conditions;
+
+    // Track the number of bytes received on the wire for the inflation ratio
+    let wire_bytes = 0;
+    const on_wire_data = (chunk) => (wire_bytes += chunk.length);
+    request.on('data', on_wire_data);
+
+    let inflated_bytes = 0;
+    const guard = new Transform({
+        transform(chunk, encoding, callback) {
+            // Track the number of inflated bytes
+            inflated_bytes += chunk.length;
+
+            // Stop decoding if the inflated body has exceeded the inflated limit
+            if (inflated_bytes > inflated_limit)
+                return callback(
+                    new BodyParserError(
+                        413,
+                        'entity.too.large',
+                        `Inflated request body exceeded the inflatedLimit of ${inflated_limit} bytes`,
+                        { limit: 'inflatedLimit', expected: inflated_limit, received: inflated_bytes }
+                    )
+                );
+
+            // Stop decoding if the body is inflating at a higher ratio than allowed
+            if (max_ratio && inflated_bytes > wire_bytes * max_ratio)
+                return callback(
+                    new BodyParserError(
+                        413,
+                        'entity.too.large',
+                        `Request body exceeded the maxRatio of ${max_ratio} while inflating`,
+                        { limit: 'maxRatio', expected: max_ratio, received: inflated_bytes / wire_bytes }
+                    )
+                );
+
+            callback(null, chunk);
+        },
+        flush(callback) {
+            // Record the final byte counts once the whole body has been inflated
+            update_trace(request, { wire_bytes, inflated_bytes });
+            emit_event(request, 'decompressed');
+            callback();
+        },
+    });
+
+    // Stop tracking the wire bytes once the guard stream is closed
+    guard.once('close', () => request.removeListener('data', on_wire_data));
+
+    return guard;
+}
+
+/**
+ * Asserts the Content-Length and Transfer-Encoding headers of the incoming request before its body is streamed.
+ * Returns whether the body can be streamed, otherwise the request has already been rejected.
+ *
+ * @param {HyperExpress.Request} request
+ * @param {HyperExpress.Response} response
+ * @param {ParserConditions} conditions
+ * @returns {Promise<Boolean>}
+ */
+async function preflight_body(request, response, conditions) {
+    // Destructure appropriate properties from the conditions object
+    const { limit, require_length } = conditions;
+    const content_length = request.headers['content-length'];
+    const transfer_encoding = request.headers['transfer-encoding'];
+
+    // Reject with an HTTP 400 error as the declared length is not a valid number of bytes
+    if (content_length !== undefined && !/^\d+$/.test(content_length)) {
+        await reject_body(
+            request,
+            response,
+            conditions,
+            new BodyParserError(400, 'length.invalid', `Invalid content length "${content_length}"`, {
+                received: content_length,
+            })
+        );
+        return false;
+    }
+
+    // Reject with an HTTP 400 error as a request with both headers is ambiguous and may be smuggling another request (RFC 7230 sec 3.3.3)
+    if (content_length !== undefined && transfer_encoding !== undefined) {
+        await reject_body(
+            request,
+            response,
+            conditions,
+            new BodyParserError(
+                400,
+                'length.conflict',
+                'Request cannot have both a content length and a transfer encoding',
+                {
+                    received: transfer_encoding,
+                }
+            )
+        );
+        return false;
+    }
+
+    // Reject with an HTTP 411 error as the body must declare its length
+    if (require_length && content_length === undefined) {
+        await reject_body(
+            request,
+            response,
+            conditions,
+            new BodyParserError(411, 'length.required', 'Request body must have a content length')
+        );
+        return false;
+    }
+
+    // Reject with an HTTP 413 error as the declared length already exceeds the limit
+    const declared_length = Number(content_length);
+    if (declared_length > limit) {
+        // Close the connection once responded as the client may still be sending the oversized body
+        response.header('connection', 'close');
+        await reject_limit(request, response, conditions, declared_length);
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Begins streaming the incoming body from the request with the provided conditions.
+ * Returns the readable stream that provides the decompressed body data, or undefined if the request has already been responded to.
+ *
+ * @param {HyperExpress.Request} request
+ * @param {HyperExpress.Response} response
+ * @param {ParserConditions} conditions
+ * @returns {Promise<import('stream').Readable|undefined>}
+ */
+async function stream_body(request, response, conditions) {
+    // Destructure appropriate properties from the conditions object
+    const { inflate, limit, encodings, verify_encoding } = conditions;
+
+    // Assert the declared length of the body before anything else
+    if (!(await preflight_body(request, response, conditions))) return;
+
+    // Determine the content charset of the incoming request
+    const content_charset = get_charset(request, conditions);
+    update_trace(request, { charset: content_charset });
+
+    // Determine if the request has unsupported charset encoding
+    if (verify_encoding && !verify_encoding(content_charset)) {
+        // Reject with an HTTP 415 error as the charset is not supported
+        return await reject_body(
+            request,
+            response,
+            conditions,
+            new BodyParserError(415, 'charset.unsupported', `Unsupported charset "${content_charset}"`, {
+                received: content_charset,
+            })
+        );
+    }
+
+    // Determine the content codings of the incoming request in the order they were applied
+    const request_encoding = request.headers['content-encoding'] || '';
+    const content_codings = request_encoding
+        .toLowerCase()
+        .split(',')
+        .map((coding) => coding.trim())
+        .filter((coding) => coding && coding !== 'identity');
+
+    // Determine if the request has unsupported or disallowed compression
+    const bad_compression =
+        content_codings.length > 0 &&
+        (inflate === false ||
+            content_codings.some(
+                (coding) => DECODERS[coding] === undefined || (encodings && !encodings.includes(coding))
+            ));
+    if (bad_compression) {
+        // Reject with an HTTP 415 error as the compression is not supported
+        return await reject_body(
+            request,
+            response,
+            conditions,
+            new BodyParserError(415, 'encoding.unsupported', `Unsupported content encoding "${request_encoding}"`, {
+                expected: inflate === false ? ['identity'] : encodings || Object.keys(DECODERS),
+                received: request_encoding,
+            })
+        );
+    }
+
+    // Attempt to stream the incoming body from HyperExpress with the provided conditional limit
+    if (!request._stream_with_limit(response, limit)) return await reject_limit(request, response, conditions);
+
+    // Return the request stream directly as there is nothing to decompress
+    if (content_codings.length === 0) return request;
+
+    // Pipe the request stream through a decompression stream for each coding in the reverse order they were applied
+    // The final stream is a guard which stops decoding as soon as the inflated size or ratio limits are exceeded
+    const decoders = content_codings.reverse().map((coding) => DECODERS[coding]());
+    const stream = decoders.concat(create_inflate_guard(request, conditions)).reduce((source, decoder) => {
+        // Forward any errors from the decompression streams to the final guard stream
+        if (source !== request) source.once('error', (error) => stream.destroy(error));
+
+        // Note: HyperExpress returns the request from Request.pipe() so the decoder is returned explicitly
+        source.pipe(decoder);
+        return decoder;
+    }, request);
+
+    // Destroy the decompression streams once the final guard stream is closed to stop any decoding in progress
+    stream.once('close', () => decoders.forEach((decoder) => decoder.destroy()));
+
+    return stream;
+}
+
+/**
+ * Records the byte counts of an uncompressed body which is read from the request stream and emits the 'decompressed' event once it has been received.
+ * Note! Compressed bodies are already traced by the inflate guard of their decompression stream.
+ *
+ * @param {HyperExpress.Request} request
+ * @param {import('stream').Readable} stream The stream returned from the stream_body method.
+ */
+function trace_stream(request, stream) {
+    // Only uncompressed bodies are streamed directly from the request
+    if (stream !== request) return;
+
+    // Count the bytes of each chunk as they are read by the parser
+    let bytes = 0;
+    const on_data = (chunk) => (bytes += chunk.length);
+    request.on('data', on_data);
+
+    // Record the final byte counts once the whole body has been read
+    request.once('end', () => {
+        request.removeListener('data', on_data);
+        update_trace(request, { wire_bytes: bytes, inflated_bytes: bytes });
+        emit_event(request, 'decompressed');
+    });
+}
+
+/**
+ * Discards any remaining body data of a request which is no longer read.
+ * Resolves once the whole body has been received as HyperExpress holds any response until then.
+ *
+ * @param {HyperExpress.Request} request
+ * @param {HyperExpress.Response} response
+ * @returns {Promise<void>}
+ */
+async function discard_body(request, response) {
+    // Unpipe destinations from the request readable stream
+    unpipe(request);
+
+    // Resolve immediately if the body has already been received or the client has disconnected
+    if (request.received || response.completed) return;
+
+    // Discard any remaining data until the whole body has been received
+    // Note: The body is not marked to be flushed as HyperExpress would then hold the response until it sends its own 413 response
+    await new Promise((resolve) => {
+        request.once('received', resolve);
+        response.once('abort', resolve);
+
+        // Pause before resuming so both the underlying uWS response and the readable stream are resumed
+        request.pause();
+        request.resume();
+    });
+}
+
+/**
+ * Stops streaming the incoming body of a request by destroying the provided stream and discarding any remaining body data.
+ *
+ * @param {HyperExpress.Request} request
+ * @param {HyperExpress.Response} response
+ * @param {import('stream').Readable} stream
+ * @returns {Promise<void>}
+ */
+async function abort_stream(request, response, stream) {
+    // Destroy the decompression stream
+    if (stream !== request) destroy(stream, true);
+
+    await discard_body(request, response);
+}
+
 /**
  * Attempts to retrieve the body buffer from the incoming request.
  * Automatically asserts and applies the provided set of conditions.
@@ -56,146 +780,183 @@ function validate_request(request, conditions) {
  */
 async function attempt_body(request, response, conditions) {
     // Destructure appropriate properties from the conditions object
-    const { inflate, limit, verify_body, base_encoding, verify_encoding } = conditions;
+    const { verify_body, binary } = conditions;
 
-    // Determine various content properties about the incoming request
-    const request_type = request.headers['content-type'];
+    // Determine the content charset and encoding of the incoming request
     const request_encoding = request.headers['content-encoding'];
-    const content_charset = content_type.parse(request_type).parameters.charset || base_encoding;
+    const content_charset = get_charset(request, conditions);
     const content_encoding = (request_encoding || 'identity').toLowerCase();
 
-    // Determine if the request has unsupported encoding or compression
-    const bad_encoding = verify_encoding ? !verify_encoding(content_charset) : false;
-    const bad_compression = inflate === false && content_encoding !== 'identity';
-    if (bad_encoding || bad_compression) {
-        // Return an HTTP 415 error as the encoding or compression is not supported
-        response.status(415).send();
+    // Begin streaming the incoming body, this will automatically respond to the request if it cannot be streamed
+    const stream = await stream_body(request, response, conditions);
+    if (!stream) return;
 
-        // Prevent further execution of this function with an undefined result value
-        return;
-    }
+    // Read the incoming body data into a buffer
+    let buffer;
+    if (stream === request) {
+        // Retrieve the raw body buffer directly from HyperExpress
+        // This is more memory efficient than consuming/processing the chunks from the request stream
+        buffer = await request.buffer();
 
-    // Attempt to stream the incoming body from HyperExpress with the provided conditional limit
-    if (request._stream_with_limit(limit)) {
-        // Read the incoming body data into a buffer
-        let buffer;
-        if (content_encoding === 'identity') {
-            // Retrieve the raw body buffer directly from HyperExpress
-            // This is more memory efficient than consuming/processing the chunks from the request stream
-            buffer = await request.buffer();
-        } else {
-            // Initialize a decompression stream which will decompress the incoming body data
-            let stream;
-            switch (content_encoding) {
-                case 'deflate':
-                    // Create a deflate decompression stream and pipe the request stream into it
-                    stream = zlib.createInflate();
-                    request.pipe(stream);
-                    break;
-                case 'gzip':
-                    // Create a gzip decompression stream and pipe the request stream into it
-                    stream = zlib.createGunzip();
-                    request.pipe(stream);
-                    break;
-                default:
-                    // Return an HTTP 415 error as the encoding is not supported
-                    response.status(415).send();
-
-                    // Prevent further execution of this function with an undefined result value
-                    return;
-            }
-
-            // Read the decompression stream into a buffer
-            try {
-                // Utilize the raw-body module to read the decompression stream into a buffer
-                buffer = await new Promise((resolve, reject) =>
-                    raw_body(
-                        stream,
-                        {
-                            length: stream.length, // The decoded length of the incoming body
-                            limit, // The maximum size of the incoming body data in bytes
-                            encoding: typeof verify_body == 'function' ? null : base_encoding,
-                        },
-                        (error, body) => {
-                            if (error) {
-                                reject(error);
-                            } else {
-                                resolve(body);
-                            }
+        // Record the byte counts as the body was received without any compression
+        update_trace(request, { wire_bytes: buffer.length, inflated_bytes: buffer.length });
+        emit_event(request, 'decompressed');
+    } else {
+        // Read the decompression stream into a buffer
+        try {
+            // Utilize the raw-body module to read the decompression stream into a buffer
+            buffer = await new Promise((resolve, reject) =>
+                raw_body(
+                    stream,
+                    {
+                        length: stream.length, // The decoded length of the incoming body
+                        encoding: null, // The buffer is decoded with the content charset below
+                    },
+                    (error, body) => {
+                        if (error) {
+                            reject(error);
+                        } else {
+                            resolve(body);
                         }
-                    )
-                );
-            } catch (error) {
-                // Destroy the decompression stream
-                destroy(stream, true);
-
-                // Unpipe destinations from the request readable stream
-                unpipe(request);
-
-                // Flush any remaining data from the decompression stream
-                request._stream_flush();
-
-                // Handle the error type and respond to the request with appropriate response
-                switch (error.type) {
-                    case 'encoding.unsupported':
-                        // Return an HTTP 415 error as the encoding is not supported
-                        response.status(415).send();
-                    default:
-                        // Return an HTTP 400 error as this is a bad request according to raw-body module
-                        response.status(400).send();
-                }
+                    }
+                )
+            );
+        } catch (error) {
+            // Stop streaming and discard any remaining data from the request
+            await abort_stream(request, response, stream);
 
-                // Prevent further execution of this function with an undefined result value
-                return;
-            }
+            // Reject with the inflation limit error or an HTTP 400 error as the body could not be decompressed
+            return await reject_body(
+                request,
+                response,
+                conditions,
+                error instanceof BodyParserError
+                    ? error
+                    : new BodyParserError(400, 'entity.decode.failed', error.message, { cause: error })
+            );
         }
+    }
 
-        // Verify the received buffer against the provided verify_body function
-        if (typeof verify_body == 'function' && verify_body(request, response, buffer, content_encoding) !== true) {
-            // Return an HTTP 403 error as the body verification failed
-            response.status(403).send();
+    // Verify the received buffer against the provided verify_body function
+    if (typeof verify_body == 'function') {
+        // Keep the raw body buffer on the request so it can be used after verification
+        request.rawBody = buffer;
 
-            // Prevent further execution of this function with an undefined result value
-            return;
-        }
+        // Reject with an HTTP 403 error as the body verification failed
+        if ((await verify_body(request, response, buffer, content_encoding)) !== true)
+            return await reject_body(
+                request,
+                response,
+                conditions,
+                new BodyParserError(403, 'entity.verify.failed', 'Request body verification failed', { body: buffer })
+            );
 
-        // Decode the buffer from the provided base encoding
-        if (content_charset) {
-            try {
-                // Attempt to decode the buffer from the provided base encoding with the iconv-lite module
-                buffer = iconv.decode(buffer, content_charset);
-            } catch (error) {
-                // Return an HTTP 400 error as the content decoding failed
-                response.status(400).send();
-
-                // Prevent further execution of this function with an undefined result value
-                return;
-            }
+        emit_event(request, 'verified');
+    }
+
+    // Decode the buffer from the provided base encoding unless the body is a binary format
+    if (content_charset && !binary) {
+        try {
+            // Attempt to decode the buffer from the provided base encoding with the iconv-lite module
+            buffer = iconv.decode(buffer, content_charset);
+        } catch (error) {
+            // Reject with an HTTP 400 error as the content decoding failed
+            return await reject_body(
+                request,
+                response,
+                conditions,
+                new BodyParserError(400, 'charset.decode.failed', error.message, { body: buffer, cause: error })
+            );
         }
+    }
+
+    // Return the parsed buffer and its encoding charset
+    return {
+        buffer,
+        charset: content_charset,
+    };
+}
 
-        // Return the parsed buffer and its encoding charset
-        return {
-            buffer,
-            charset: content_charset,
+/**
+ * Creates a body parser factory which reads the whole body into a Buffer and optionally decodes it into the Request.body property.
+ * Note! This is shared by the raw() parser and the parsers created with createParser() so they support the same options.
+ *
+ * @param {Object} format
+ * @param {String} format.name The name of the parser which is used in error messages and instrumentation events.
+ * @param {(String|Array<String>|Function)} format.type The default media type or media types which the parsers will parse.
+ * @param {function():*} format.empty Returns the body which is written to the Request.body property if it doesn't exist.
+ * @param {Boolean=} format.binary Whether or not the body is a binary format which is never decoded with a charset.
+ * @param {function(Buffer, HyperExpress.Request):*=} format.decode Decodes the body Buffer into the parsed body and may return a Promise. The Buffer is used as the body when omitted.
+ * @returns {function(Object=):function(HyperExpress.Request, HyperExpress.Response):Promise<void>}
+ */
+function create_buffered_parser(format) {
+    const { name, type, empty, binary = false, decode } = format;
+    return (options = {}) => {
+        // Generate parsed properties from the options utilized during parsing
+        const conditions = {
+            ...create_conditions(name, options, { type, verify: true, lazy: true }),
+            binary,
         };
-    } else {
-        // Hold execution till we have successfully ended the request with a 413 status code
-        await new Promise((resolve) =>
-            request.on('limit', (bytes, flushed) => {
-                // Ensure the body has been completely flushed
-                if (flushed) {
-                    // Send an HTTP 413 status code to the client signifying that the request body is too large
-                    if (!response.initiated) response.status(413).send();
-
-                    // Resolve the promise to resume execution
-                    resolve();
+
+        // Return the middleware function
+        return create_middleware(conditions, {
+            initialize: (request) => {
+                // Initialize the body property to the empty body of this format if it doesn't exist
+                if (!request.body) request.body = empty();
+            },
+            parse: async (request, response, conditions) => {
+                // Attempt to read the incoming request body
+                const attempt = await attempt_body(request, response, conditions);
+                if (!attempt) return;
+
+                // Write the body buffer to the request body property if there is no decoder for this format
+                const { buffer } = attempt;
+                if (!decode) {
+                    request.body = buffer;
+                    return;
                 }
-            })
-        );
-    }
+
+                // Attempt to decode the buffer with the decoder of this format
+                let body;
+                try {
+                    body = await decode(buffer, request);
+                } catch (error) {
+                    // Reject with the thrown BodyParserError or a 400 HTTP Response as the decoding failed
+                    return await reject_body(
+                        request,
+                        response,
+                        conditions,
+                        error instanceof BodyParserError
+                            ? error
+                            : new BodyParserError(400, 'entity.parse.failed', error.message, {
+                                  body: buffer,
+                                  cause: error,
+                              })
+                    );
+                }
+
+                // Write the decoded body to the request body property
+                request.body = body;
+            },
+        });
+    };
 }
 
 module.exports = {
+    parse_limit,
+    parse_inflate,
+    is_media_type,
+    create_conditions,
+    has_body,
     validate_request,
+    create_middleware,
+    defer_default,
+    passthrough_error,
+    reject_body,
+    preflight_body,
+    stream_body,
+    trace_stream,
+    abort_stream,
     attempt_body,
+    create_buffered_parser,
 };
@@ -0,0 +1,72 @@
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream');
+
+/**
+ * @typedef {Object} DiskFile
+ * @property {String} path - The absolute path of the stored file on disk.
+ * @property {Number} size - The size of the file in bytes.
+ */
+
+/**
+ * Creates a disk storage engine which will write uploaded files into the provided directory.
+ * Note! Stored files are automatically removed if the request is aborted or rejected before it has been completely parsed.
+ *
+ * @param {Object} options - Options object for Disk storage engine
+ * @param {String=} options.directory The directory in which uploaded files will be written. Defaults to the temporary directory of the operating system.
+ * @param {function(Object):string=} options.filename When set, this function will be called with the file information and should return the name of the file on disk. Defaults to a random hexadecimal name.
+ * @returns {{handle: function(import('stream').Readable, Object):Promise<DiskFile>, remove: function(DiskFile):Promise<void>}}
+ */
+function create_disk_storage(options = {}) {
+    // Destructure the options object with defaults
+    const { directory = os.tmpdir(), filename = () => crypto.randomBytes(16).toString('hex') } = options;
+
+    // Ensure the directory property is a string
+    if (typeof directory !== 'string')
+        throw new Error('HyperExpress.BodyParser.storage.disk(options) -> options.directory must be a string');
+
+    // Ensure the filename property is a function
+    if (typeof filename !== 'function')
+        throw new Error('HyperExpress.BodyParser.storage.disk(options) -> options.filename must be a function');
+
+    return {
+        /**
+         * Writes the provided file stream into a file on disk.
+         *
+         * @param {import('stream').Readable} stream
+         * @param {Object} file
+         * @returns {Promise<DiskFile>}
+         */
+        handle(stream, file) {
+            return new Promise((resolve, reject) => {
+                // Write the file stream into a new file inside the storage directory
+                const destination = path.resolve(directory, path.basename(filename(file)));
+                const writable = fs.createWriteStream(destination);
+                pipeline(stream, writable, (error) => {
+                    // Remove the partially written file if the write failed
+                    if (error) return fs.unlink(destination, () => reject(error));
+
+                    resolve({
+                        path: destination,
+                        size: writable.bytesWritten,
+                    });
+                });
+            });
+        },
+
+        /**
+         * Removes the provided file from disk.
+         *
+         * @param {DiskFile} file
+         * @returns {Promise<void>}
+         */
+        async remove(file) {
+            // Ignore files which have already been removed or moved elsewhere
+            await fs.promises.unlink(file.path).catch(() => {});
+        },
+    };
+}
+
+module.exports = create_disk_storage;
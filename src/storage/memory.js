@@ -0,0 +1,54 @@
+/**
+ * @typedef {Object} MemoryFile
+ * @property {Buffer} buffer - The buffer containing the file data.
+ * @property {Number} size - The size of the file in bytes.
+ */
+
+/**
+ * Creates a memory storage engine which will store uploaded files as Buffers on the File.buffer property.
+ * Note! Files are held entirely in memory, so this engine should only be used with an appropriate `limits.fileSize`.
+ *
+ * @returns {{handle: function(import('stream').Readable, Object):Promise<MemoryFile>, remove: function(MemoryFile):Promise<void>}}
+ */
+function create_memory_storage() {
+    return {
+        /**
+         * Reads the provided file stream into a single Buffer.
+         *
+         * @param {import('stream').Readable} stream
+         * @returns {Promise<MemoryFile>}
+         */
+        handle(stream) {
+            return new Promise((resolve, reject) => {
+                // Collect the incoming chunks from the file stream
+                const chunks = [];
+                let size = 0;
+                stream.on('data', (chunk) => {
+                    chunks.push(chunk);
+                    size += chunk.length;
+                });
+
+                // Resolve with the concatenated buffer once the file stream has ended
+                stream.once('end', () =>
+                    resolve({
+                        buffer: Buffer.concat(chunks, size),
+                        size,
+                    })
+                );
+                stream.once('error', reject);
+            });
+        },
+
+        /**
+         * Releases the provided file from memory.
+         *
+         * @param {MemoryFile} file
+         * @returns {Promise<void>}
+         */
+        async remove(file) {
+            delete file.buffer;
+        },
+    };
+}
+
+module.exports = create_memory_storage;
@@ -0,0 +1,217 @@
+const crypto = require('crypto');
+
+/**
+ * @typedef {function(HyperExpress.Request, HyperExpress.Response, Buffer, String):Promise<boolean>} VerifyCallback
+ */
+
+/**
+ * Compares two Buffers in constant time regardless of their contents.
+ *
+ * @param {Buffer} a
+ * @param {Buffer} b
+ * @returns {Boolean}
+ */
+function safe_equal(a, b) {
+    // The lengths of the signatures are not secret so we can return early
+    if (a.length !== b.length) return false;
+    return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Parses a header value of comma separated key=value fields (e.g. 't=1492774577,v1=5257a869...') into the values of each key.
+ * Note! Keys can be repeated so each key is mapped to all of its values in order (e.g. multiple 'v1' signatures during secret rotation).
+ *
+ * @param {String} value
+ * @returns {Map<String, Array<String>>}
+ */
+function parse_fields(value) {
+    const fields = new Map();
+    for (const field of value.split(',')) {
+        const index = field.indexOf('=');
+        if (index === -1) continue;
+
+        const key = field.slice(0, index).trim();
+        if (!fields.has(key)) fields.set(key, []);
+        fields.get(key).push(field.slice(index + 1).trim());
+    }
+
+    return fields;
+}
+
+/**
+ * Creates a verify callback which asserts the HMAC signature of the raw body provided in a request header.
+ * Multiple secrets can be provided to support rotating secrets where any secret producing a matching signature is accepted.
+ *
+ * @param {Object} options - Options object for the HMAC verifier
+ * @param {String} options.header The name of the request header which contains the signature (e.g. 'x-hub-signature-256').
+ * @param {(String|Buffer|Array<String|Buffer>|function(HyperExpress.Request):(String|Buffer|Array<String|Buffer>|Promise))} options.secret The secret or secrets used to sign the body. Can be a function which resolves the secrets for each request.
+ * @param {String=} options.algorithm The HMAC digest algorithm. Defaults to 'sha256'.
+ * @param {String=} options.prefix The prefix which is stripped from the header value before comparison (e.g. 'sha256=' or 'v0='). Defaults to ''.
+ * @param {String=} options.encoding The encoding of the signature in the header. Can be 'hex', 'base64' or 'base64url'. Defaults to 'hex'.
+ * @param {{signature: String, timestamp: String=}=} options.fields When set, the header value is parsed as comma separated key=value fields (e.g. Stripe's 't=1492774577,v1=5257a869...') and the signature is taken from the `signature` field instead of the whole value. Any of multiple signature fields may match. When the `timestamp` field is set, it must be present and the signed payload defaults to '<timestamp>.<raw body>'. The `prefix` option is not used with fields.
+ * @param {function(Buffer, HyperExpress.Request, String=):(String|Buffer)=} options.payload When set, this function builds the signed payload from the raw body and the timestamp field when it is set (e.g. to include a timestamp header). Defaults to the raw body.
+ * @returns {VerifyCallback}
+ */
+function create_hmac_verifier(options = {}) {
+    // Destructure the options object with defaults
+    const { header, secret, algorithm = 'sha256', prefix = '', encoding = 'hex', fields, payload } = options;
+
+    // Ensure the header property is a string
+    if (typeof header !== 'string' || header.length === 0)
+        throw new Error('HyperExpress.BodyParser.verifiers.hmac(options) -> options.header must be a string');
+
+    // Ensure the secret property is provided
+    if (secret === undefined || secret === null || (Array.isArray(secret) && secret.length === 0))
+        throw new Error('HyperExpress.BodyParser.verifiers.hmac(options) -> options.secret must be provided');
+
+    // Ensure the algorithm is supported by the crypto module
+    if (!crypto.getHashes().includes(algorithm))
+        throw new Error(
+            `HyperExpress.BodyParser.verifiers.hmac(options) -> options.algorithm "${algorithm}" is not supported`
+        );
+
+    // Ensure the encoding property is a supported signature encoding
+    if (!['hex', 'base64', 'base64url'].includes(encoding))
+        throw new Error(
+            "HyperExpress.BodyParser.verifiers.hmac(options) -> options.encoding must be 'hex', 'base64' or 'base64url'"
+        );
+
+    // Ensure the fields property is an object with the names of the signature and timestamp fields when it exists
+    if (
+        fields !== undefined &&
+        (typeof fields !== 'object' ||
+            fields === null ||
+            typeof fields.signature !== 'string' ||
+            (fields.timestamp !== undefined && typeof fields.timestamp !== 'string'))
+    )
+        throw new Error(
+            'HyperExpress.BodyParser.verifiers.hmac(options) -> options.fields must be an object with a signature field name and an optional timestamp field name'
+        );
+
+    // Ensure the payload property is a function when it exists
+    if (payload && typeof payload !== 'function')
+        throw new Error('HyperExpress.BodyParser.verifiers.hmac(options) -> options.payload must be a function');
+
+    const header_name = header.toLowerCase();
+    return async (request, response, buffer) => {
+        // Retrieve the header value which contains the signature
+        const value = request.headers[header_name];
+        if (typeof value !== 'string') return false;
+
+        // Retrieve the signatures and the timestamp from the fields of the header value or the signature from the whole value
+        let candidates;
+        let timestamp;
+        if (fields) {
+            const parsed = parse_fields(value);
+            candidates = parsed.get(fields.signature) || [];
+            if (fields.timestamp !== undefined) {
+                timestamp = (parsed.get(fields.timestamp) || [])[0];
+                if (!timestamp) return false;
+            }
+        } else {
+            if (!value.startsWith(prefix)) return false;
+            candidates = [value.slice(prefix.length)];
+        }
+
+        const signatures = candidates
+            .map((candidate) => Buffer.from(candidate.trim(), encoding))
+            .filter((signature) => signature.length > 0);
+        if (signatures.length === 0) return false;
+
+        // Resolve the secrets and the signed payload for this request
+        // Note: The timestamp is signed along with the body by default as Stripe does
+        const secrets = [].concat(typeof secret === 'function' ? await secret(request) : secret);
+        let data = buffer;
+        if (payload) {
+            data = payload(buffer, request, timestamp);
+        } else if (timestamp !== undefined) {
+            data = Buffer.concat([Buffer.from(`${timestamp}.`), buffer]);
+        }
+
+        // Accept the body if any of the secrets produces any of the signatures
+        // Note: Every secret and signature is compared so the response time does not reveal which one matched
+        let verified = false;
+        for (const key of secrets) {
+            if (key === undefined || key === null) continue;
+            const expected = crypto.createHmac(algorithm, key).update(data).digest();
+            for (const signature of signatures) if (safe_equal(expected, signature)) verified = true;
+        }
+
+        return verified;
+    };
+}
+
+/**
+ * Creates a verify callback which asserts that the timestamp provided in a request header is within the tolerance of the current time.
+ * This protects signed bodies against replay attacks when combined with a signature verifier.
+ *
+ * @param {Object} options - Options object for the timestamp verifier
+ * @param {String} options.header The name of the request header which contains the timestamp (e.g. 'x-slack-request-timestamp').
+ * @param {String=} options.field When set, the header value is parsed as comma separated key=value fields and the timestamp is taken from this field (e.g. 't' for Stripe's 'stripe-signature' header).
+ * @param {Number=} options.tolerance The maximum difference between the timestamp and the current time in seconds. Defaults to 300.
+ * @param {String=} options.unit The unit of the timestamp in the header. Can be 'seconds' or 'milliseconds'. Defaults to 'seconds'.
+ * @returns {VerifyCallback}
+ */
+function create_timestamp_verifier(options = {}) {
+    // Destructure the options object with defaults
+    const { header, field, tolerance = 300, unit = 'seconds' } = options;
+
+    // Ensure the header property is a string
+    if (typeof header !== 'string' || header.length === 0)
+        throw new Error('HyperExpress.BodyParser.verifiers.timestamp(options) -> options.header must be a string');
+
+    // Ensure the field property is a string when it exists
+    if (field !== undefined && (typeof field !== 'string' || field.length === 0))
+        throw new Error('HyperExpress.BodyParser.verifiers.timestamp(options) -> options.field must be a string');
+
+    // Ensure the tolerance property is a positive number
+    if (typeof tolerance !== 'number' || isNaN(tolerance) || tolerance <= 0)
+        throw new Error(
+            'HyperExpress.BodyParser.verifiers.timestamp(options) -> options.tolerance must be a positive number'
+        );
+
+    // Ensure the unit property is a supported unit
+    if (unit !== 'seconds' && unit !== 'milliseconds')
+        throw new Error(
+            "HyperExpress.BodyParser.verifiers.timestamp(options) -> options.unit must be 'seconds' or 'milliseconds'"
+        );
+
+    const header_name = header.toLowerCase();
+    return async (request) => {
+        // Parse the timestamp from the request header or its field into milliseconds
+        const header_value = request.headers[header_name];
+        if (typeof header_value !== 'string') return false;
+        const value = Number(field === undefined ? header_value : (parse_fields(header_value).get(field) || [])[0]);
+        if (!Number.isFinite(value)) return false;
+        const timestamp = unit === 'seconds' ? value * 1000 : value;
+
+        return Math.abs(Date.now() - timestamp) <= tolerance * 1000;
+    };
+}
+
+/**
+ * Creates a verify callback which only accepts a body if all of the provided verify callbacks accept it.
+ * The callbacks are called in order and verification stops at the first callback that rejects the body.
+ *
+ * @param {...VerifyCallback} verifiers
+ * @returns {VerifyCallback}
+ */
+function create_all_verifier(...verifiers) {
+    // Ensure all of the verifiers are functions
+    if (verifiers.length === 0 || verifiers.some((verifier) => typeof verifier !== 'function'))
+        throw new Error('HyperExpress.BodyParser.verifiers.all(...verifiers) -> verifiers must be functions');
+
+    return async (request, response, buffer, encoding) => {
+        for (const verifier of verifiers) {
+            if ((await verifier(request, response, buffer, encoding)) !== true) return false;
+        }
+
+        return true;
+    };
+}
+
+module.exports = {
+    hmac: create_hmac_verifier,
+    timestamp: create_timestamp_verifier,
+    all: create_all_verifier,
+};
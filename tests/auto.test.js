@@ -0,0 +1,133 @@
+const assert = require('node:assert/strict');
+const { describe, it, before, after } = require('node:test');
+
+const BodyParser = require('..');
+const { start_server, echo_route } = require('./harness.js');
+
+describe('auto()', () => {
+    let server;
+    before(async () => {
+        server = await start_server((app) => {
+            echo_route(app, '/', BodyParser.auto());
+            echo_route(app, '/strict', BodyParser.auto({ json: { strict: false }, ndjson: true, fallback: 'reject' }));
+            echo_route(app, '/disabled', BodyParser.auto({ json: false, text: true }));
+            echo_route(app, '/length', BodyParser.auto({ json: { requireLength: true } }));
+
+            // Respond with the lazily parsed body only when requested
+            app.post('/lazy', BodyParser.auto({ json: { lazy: true } }), async (request, response) => {
+                if (request.headers['x-read'] !== 'yes') return response.json({ body: request.body });
+                response.json({ body: await request.parsedBody() });
+            });
+        });
+    });
+    after(() => server.close());
+
+    it('dispatches each request to the parser which matches its content type', async () => {
+        for (const [type, body, expected] of [
+            ['application/json', '{"a":1}', { body: { a: 1 }, parser: 'json' }],
+            ['application/x-www-form-urlencoded', 'a=1', { body: { a: '1' }, parser: 'urlencoded' }],
+            ['text/plain', 'text', { body: 'text', parser: 'text' }],
+            ['application/octet-stream', 'ab', { body: { buffer: 'YWI=' }, parser: 'raw' }],
+        ]) {
+            const response = await server.request({ headers: { 'content-type': type }, body });
+            const { body: parsed, parser } = response.json();
+            assert.deepEqual({ body: parsed, parser }, expected, type);
+        }
+    });
+
+    it('passes unmatched requests through by default', async () => {
+        const response = await server.request({ headers: { 'content-type': 'application/x-ndjson' }, body: '{}' });
+        assert.equal(response.status, 200);
+        assert.equal(response.json().parser, undefined);
+    });
+
+    it('only enables the configured parsers and rejects unmatched requests with 415', async () => {
+        const json = await server.request({
+            path: '/strict',
+            headers: { 'content-type': 'application/json' },
+            body: '1',
+        });
+        assert.deepEqual(json.json().body, 1);
+
+        const ndjson = await server.request({
+            path: '/strict',
+            headers: { 'content-type': 'application/x-ndjson' },
+            body: '1\n2',
+        });
+        assert.deepEqual(ndjson.json().body, [1, 2]);
+
+        const text = await server.request({ path: '/strict', headers: { 'content-type': 'text/plain' }, body: 'text' });
+        assert.equal(text.status, 415);
+        assert.equal(text.json().code, 'type.unsupported');
+        assert.deepEqual(text.json().expected, ['json', 'ndjson']);
+    });
+
+    it('emits a rejected event for unmatched requests which are rejected', async () => {
+        const events = [];
+        BodyParser.setInstrumentation((event, payload) => events.push({ event, parser: payload.parser }));
+        try {
+            await server.request({ path: '/strict', headers: { 'content-type': 'text/plain' }, body: 'text' });
+        } finally {
+            BodyParser.setInstrumentation(undefined);
+        }
+        assert.deepEqual(events, [
+            { event: 'start', parser: 'auto' },
+            { event: 'rejected', parser: 'auto' },
+        ]);
+    });
+
+    it('never enables parsers which are set to false', async () => {
+        const json = await server.request({
+            path: '/disabled',
+            headers: { 'content-type': 'application/json' },
+            body: '{}',
+        });
+        assert.equal(json.json().parser, undefined);
+
+        const text = await server.request({ path: '/disabled', headers: { 'content-type': 'text/plain' }, body: 'a' });
+        assert.equal(text.json().parser, 'text');
+    });
+
+    it('defers parsing the body until it is read when the parser is lazy', async () => {
+        const headers = { 'content-type': 'application/json' };
+        const unread = await server.request({ path: '/lazy', headers, body: '{"a":1}' });
+        assert.deepEqual(unread.json(), { body: {} });
+
+        const read = await server.request({ path: '/lazy', headers: { ...headers, 'x-read': 'yes' }, body: '{"a":1}' });
+        assert.deepEqual(read.json(), { body: { a: 1 } });
+    });
+
+    it('rejects chunked bodies with 411 when the parser requires a length', async () => {
+        const headers = { 'content-type': 'application/json' };
+        const chunked = await server.request({ path: '/length', headers, body: ['{', '}'], chunked: true });
+        assert.equal(chunked.status, 411);
+        assert.equal(chunked.json().code, 'length.required');
+
+        const declared = await server.request({ path: '/length', headers, body: '{}' });
+        assert.deepEqual(declared.json(), { body: {}, parser: 'json' });
+    });
+
+    it('resolves the lazily parsed body with the default body when there is nothing to parse', async () => {
+        const other = await server.request({
+            path: '/lazy',
+            headers: { 'content-type': 'text/plain', 'x-read': 'yes' },
+            body: 'text',
+        });
+        // Note: No parser initialized the body of the unmatched request so it keeps the default of HyperExpress
+        assert.equal(other.status, 200);
+        assert.equal(other.json().body, undefined);
+
+        const empty = await server.request({
+            path: '/lazy',
+            headers: { 'content-type': 'application/json', 'x-read': 'yes' },
+        });
+        assert.equal(empty.status, 200);
+        assert.deepEqual(empty.json(), { body: {} });
+    });
+
+    it('skips requests without a body', async () => {
+        const response = await server.request({ headers: { 'content-type': 'application/json' } });
+        assert.equal(response.status, 200);
+        assert.equal(response.json().parser, undefined);
+    });
+});
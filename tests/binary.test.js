@@ -0,0 +1,131 @@
+const assert = require('node:assert/strict');
+const { describe, it, before, after } = require('node:test');
+
+const BodyParser = require('..');
+const { start_server, echo_route } = require('./harness.js');
+
+describe('binary formats', () => {
+    // A minimal message type which decodes a single varint field
+    const Message = {
+        decode: (buffer) => ({ id: (buffer[1] & 0x7f) + ((buffer[2] & 0x7f) << 7) }),
+    };
+
+    const csv = BodyParser.createParser({
+        name: 'csv',
+        type: 'text/csv',
+        decode: (buffer) => {
+            const [header, ...rows] = buffer.toString().trim().split('\n');
+            if (rows.length === 0) throw new Error('CSV body has no rows');
+            const keys = header.split(',');
+            return rows.map((row) => Object.fromEntries(row.split(',').map((value, index) => [keys[index], value])));
+        },
+    });
+
+    let server;
+    before(async () => {
+        server = await start_server((app) => {
+            echo_route(app, '/cbor', BodyParser.cbor({ maxDepth: 2 }));
+            echo_route(app, '/msgpack', BodyParser.msgpack({ maxDepth: 2 }));
+            echo_route(app, '/protobuf', BodyParser.protobuf({ type: Message }));
+            echo_route(app, '/csv', csv({ limit: 64 }));
+        });
+    });
+    after(() => server.close());
+
+    describe('cbor()', () => {
+        const headers = { 'content-type': 'application/cbor' };
+
+        it('decodes maps, arrays, strings, floats and bignums', async () => {
+            const body = Buffer.from([
+                // {"a": [1, -1, 1.5], "b": "x", "n": 2^64}
+                0xa3, 0x61, 0x61, 0x83, 0x01, 0x20, 0xf9, 0x3e, 0x00, 0x61, 0x62, 0x61, 0x78, 0x61, 0x6e, 0xc2, 0x49,
+                0x01, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+            ]);
+            const response = await server.request({ path: '/cbor', headers, body });
+            assert.deepEqual(response.json().body, { a: [1, -1, 1.5], b: 'x', n: '18446744073709551616' });
+        });
+
+        it('rejects truncated, malformed and deeply nested bodies with 400', async () => {
+            for (const [bytes, code] of [
+                [[0x62, 0x61], 'entity.parse.failed'],
+                [[0x1c], 'entity.parse.failed'],
+                [[0x81, 0x81, 0x81, 0x01], 'depth.exceeded'],
+            ]) {
+                const response = await server.request({ path: '/cbor', headers, body: Buffer.from(bytes) });
+                assert.equal(response.status, 400);
+                assert.equal(response.json().code, code);
+            }
+        });
+    });
+
+    describe('msgpack()', () => {
+        const headers = { 'content-type': 'application/msgpack' };
+
+        it('decodes maps, arrays, strings and integers', async () => {
+            // {"a": [1, -1, 300], "b": "x"}
+            const body = Buffer.from([0x82, 0xa1, 0x61, 0x93, 0x01, 0xff, 0xcd, 0x01, 0x2c, 0xa1, 0x62, 0xa1, 0x78]);
+            const response = await server.request({ path: '/msgpack', headers, body });
+            assert.deepEqual(response.json().body, { a: [1, -1, 300], b: 'x' });
+        });
+
+        it('decodes bodies with the legacy application/x-msgpack media type', async () => {
+            const response = await server.request({
+                path: '/msgpack',
+                headers: { 'content-type': 'application/x-msgpack' },
+                body: Buffer.from([0x81, 0xa1, 0x61, 0x01]),
+            });
+            assert.deepEqual(response.json().body, { a: 1 });
+        });
+
+        it('rejects truncated and deeply nested bodies with 400', async () => {
+            for (const [bytes, code] of [
+                [[0xa3, 0x61], 'entity.parse.failed'],
+                [[0x91, 0x91, 0x91, 0x01], 'depth.exceeded'],
+            ]) {
+                const response = await server.request({ path: '/msgpack', headers, body: Buffer.from(bytes) });
+                assert.equal(response.status, 400);
+                assert.equal(response.json().code, code);
+            }
+        });
+    });
+
+    describe('protobuf()', () => {
+        const headers = { 'content-type': 'application/x-protobuf' };
+
+        it('decodes well framed messages with the message type', async () => {
+            const response = await server.request({
+                path: '/protobuf',
+                headers,
+                body: Buffer.from([0x08, 0x96, 0x01]),
+            });
+            assert.deepEqual(response.json().body, { id: 150 });
+        });
+
+        it('rejects badly framed messages with 400', async () => {
+            const response = await server.request({ path: '/protobuf', headers, body: Buffer.from([0x0f, 0x01]) });
+            assert.equal(response.status, 400);
+            assert.equal(response.json().code, 'entity.parse.failed');
+        });
+    });
+
+    describe('createParser()', () => {
+        const headers = { 'content-type': 'text/csv' };
+
+        it('decodes bodies with the custom decode function', async () => {
+            const response = await server.request({ path: '/csv', headers, body: 'a,b\n1,2\n3,4\n' });
+            assert.deepEqual(response.json().body, [
+                { a: '1', b: '2' },
+                { a: '3', b: '4' },
+            ]);
+        });
+
+        it('rejects bodies which fail to decode with 400 and applies the limit', async () => {
+            const failed = await server.request({ path: '/csv', headers, body: 'a,b\n' });
+            assert.equal(failed.status, 400);
+            assert.equal(failed.json().detail, 'CSV body has no rows');
+
+            const oversized = await server.request({ path: '/csv', headers, body: 'a\n' + '1\n'.repeat(64) });
+            assert.equal(oversized.status, 413);
+        });
+    });
+});
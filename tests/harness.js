@@ -0,0 +1,145 @@
+const net = require('net');
+const http = require('http');
+const HyperExpress = require('hyper-express');
+
+/**
+ * @typedef {Object} TestResponse
+ * @property {Number} status - The HTTP status code of the response.
+ * @property {Object} headers - The headers of the response.
+ * @property {Buffer} body - The body of the response.
+ * @property {function():*} json - Parses the body of the response as JSON.
+ */
+
+/**
+ * Starts a HyperExpress server on an ephemeral port with the routes registered by the provided function.
+ *
+ * @param {function(HyperExpress.Server):void} register
+ * @returns {Promise<{port: Number, request: function(Object):Promise<TestResponse>, raw: function(String|Buffer):Promise<String>, close: function():void}>}
+ */
+async function start_server(register) {
+    const server = new HyperExpress.Server();
+    register(server);
+
+    // Listen on an ephemeral port so test files can run in parallel
+    await server.listen(0, '127.0.0.1');
+    const port = server.port;
+
+    return {
+        port,
+        request: (options) => send_request(port, options),
+        raw: (data) => send_raw(port, data),
+        close: () => server.close(),
+    };
+}
+
+/**
+ * Sends an HTTP request to the local server and resolves with the complete response.
+ * Note! When the body is an Array, each chunk is written separately with a delay so the body arrives in multiple chunks.
+ * The content length is always declared unless the `chunked` option is set as HyperExpress does not stream chunked bodies.
+ *
+ * @param {Number} port
+ * @param {Object} options
+ * @param {String=} options.method Defaults to 'POST'.
+ * @param {String=} options.path Defaults to '/'.
+ * @param {Object=} options.headers
+ * @param {(String|Buffer|Array<String|Buffer>)=} options.body
+ * @param {Boolean=} options.chunked When set, the body is sent with chunked transfer encoding instead of a content length.
+ * @returns {Promise<TestResponse>}
+ */
+function send_request(port, options = {}) {
+    const { method = 'POST', path = '/', headers = {}, body, chunked = false } = options;
+    return new Promise((resolve, reject) => {
+        const request = http.request({ host: '127.0.0.1', port, method, path, headers }, (response) => {
+            const chunks = [];
+            response.on('data', (chunk) => chunks.push(chunk));
+            response.once('end', () => {
+                const buffer = Buffer.concat(chunks);
+                resolve({
+                    status: response.statusCode,
+                    headers: response.headers,
+                    body: buffer,
+                    json: () => JSON.parse(buffer.toString()),
+                });
+            });
+        });
+        request.once('error', reject);
+
+        // Declare the content length of the body unless it must be sent with chunked transfer encoding
+        const chunks = body === undefined ? [] : [].concat(body);
+        if (body !== undefined && !chunked && headers['content-length'] === undefined)
+            request.setHeader(
+                'content-length',
+                chunks.reduce((length, chunk) => length + Buffer.byteLength(chunk), 0)
+            );
+
+        // Write each chunk of the body on a separate tick so they are not coalesced
+        const write = (index) => {
+            if (index === chunks.length) return request.end();
+            request.write(chunks[index]);
+            setTimeout(() => write(index + 1), 5);
+        };
+        write(0);
+    });
+}
+
+/**
+ * Sends raw data over a TCP socket to the local server and resolves with everything received until the socket closes or idles.
+ * This allows sending requests with headers which the Node HTTP client refuses to send.
+ *
+ * @param {Number} port
+ * @param {(String|Buffer)} data
+ * @returns {Promise<String>}
+ */
+function send_raw(port, data) {
+    return new Promise((resolve, reject) => {
+        const socket = net.connect(port, '127.0.0.1', () => socket.write(data));
+        const chunks = [];
+        socket.on('data', (chunk) => chunks.push(chunk));
+        socket.once('error', reject);
+        socket.once('close', () => resolve(Buffer.concat(chunks).toString()));
+
+        // Close idle sockets as the server may keep the connection alive after responding
+        socket.setTimeout(500, () => socket.end());
+    });
+}
+
+/**
+ * Registers a POST route which responds with the parsed body of each request.
+ * Buffers are serialized as base64 strings and BigInts as strings so every body can be sent as JSON.
+ *
+ * @param {HyperExpress.Server} server
+ * @param {String} path
+ * @param {Function} parser
+ */
+function echo_route(server, path, parser) {
+    server.post(path, parser, (request, response) =>
+        response.json({
+            body: serialize(request.body),
+            files: request.files && serialize(request.files),
+            parser: request.bodyParser,
+        })
+    );
+}
+
+/**
+ * Converts the provided value into a JSON compatible value.
+ *
+ * @param {*} value
+ * @returns {*}
+ */
+function serialize(value) {
+    if (value === undefined) return undefined;
+    return JSON.parse(
+        JSON.stringify(value, function (key, item) {
+            const original = this[key];
+            if (Buffer.isBuffer(original)) return { buffer: original.toString('base64') };
+            if (typeof item === 'bigint') return item.toString();
+            return item;
+        })
+    );
+}
+
+module.exports = {
+    start_server,
+    echo_route,
+};
@@ -0,0 +1,138 @@
+const zlib = require('zlib');
+const iconv = require('iconv-lite');
+const assert = require('node:assert/strict');
+const { describe, it, before, after } = require('node:test');
+
+const BodyParser = require('..');
+const { start_server, echo_route } = require('./harness.js');
+
+describe('json()', () => {
+    let server;
+    before(async () => {
+        server = await start_server((app) => {
+            echo_route(app, '/', BodyParser.json());
+            echo_route(app, '/loose', BodyParser.json({ strict: false }));
+            echo_route(app, '/dynamic', BodyParser.json({ strict: (request) => request.headers['x-strict'] !== 'no' }));
+            echo_route(app, '/limits', BodyParser.json({ maxDepth: 2, maxKeys: 3 }));
+            echo_route(app, '/remove', BodyParser.json({ protoAction: 'remove' }));
+            echo_route(app, '/bigint', BodyParser.json({ bigint: 'string' }));
+            echo_route(
+                app,
+                '/schema',
+                BodyParser.json({
+                    schema: {
+                        type: 'object',
+                        properties: { age: { type: 'integer' }, role: { type: 'string', default: 'user' } },
+                        required: ['age'],
+                    },
+                })
+            );
+        });
+    });
+    after(() => server.close());
+
+    const headers = { 'content-type': 'application/json' };
+
+    it('parses the body into an Object', async () => {
+        const response = await server.request({ headers, body: '{"a":[1,2,{"b":null}]}' });
+        assert.deepEqual(response.json().body, { a: [1, 2, { b: null }] });
+    });
+
+    it('parses gzip compressed bodies', async () => {
+        const response = await server.request({
+            headers: { ...headers, 'content-encoding': 'gzip' },
+            body: zlib.gzipSync('{"compressed":true}'),
+        });
+        assert.deepEqual(response.json().body, { compressed: true });
+    });
+
+    it('decodes UTF-16 bodies and rejects non unicode charsets with 415', async () => {
+        const utf16 = await server.request({
+            headers: { 'content-type': 'application/json; charset=utf-16le' },
+            body: iconv.encode('{"a":"ü"}', 'utf-16le'),
+        });
+        assert.deepEqual(utf16.json().body, { a: 'ü' });
+
+        const latin1 = await server.request({
+            headers: { 'content-type': 'application/json; charset=latin1' },
+            body: '{}',
+        });
+        assert.equal(latin1.status, 415);
+        assert.equal(latin1.json().code, 'charset.unsupported');
+    });
+
+    it('rejects bodies which are not an Object or Array in strict mode with 400', async () => {
+        const strict = await server.request({ headers, body: '"text"' });
+        assert.equal(strict.status, 400);
+        assert.equal(strict.json().code, 'entity.parse.failed');
+
+        const loose = await server.request({ path: '/loose', headers, body: '"text"' });
+        assert.equal(loose.json().body, 'text');
+
+        const dynamic = await server.request({
+            path: '/dynamic',
+            headers: { ...headers, 'x-strict': 'no' },
+            body: '1',
+        });
+        assert.equal(dynamic.json().body, 1);
+    });
+
+    it('rejects malformed bodies with 400', async () => {
+        const response = await server.request({ headers, body: '{"a":' });
+        assert.equal(response.status, 400);
+        assert.equal(response.json().code, 'entity.parse.failed');
+    });
+
+    it('rejects prototype poisoning keys or removes them', async () => {
+        const rejected = await server.request({ headers, body: '{"__proto__":{"admin":true}}' });
+        assert.equal(rejected.status, 400);
+        assert.equal(rejected.json().code, 'prototype.poisoning');
+
+        const removed = await server.request({ path: '/remove', headers, body: '{"a":1,"__proto__":{"admin":true}}' });
+        assert.deepEqual(removed.json().body, { a: 1 });
+    });
+
+    it('enforces the maxDepth and maxKeys limits', async () => {
+        const deep = await server.request({ path: '/limits', headers, body: '{"a":{"b":{"c":1}}}' });
+        assert.equal(deep.status, 400);
+        assert.equal(deep.json().code, 'depth.exceeded');
+
+        const wide = await server.request({ path: '/limits', headers, body: '{"a":1,"b":2,"c":3,"d":4}' });
+        assert.equal(wide.status, 413);
+        assert.equal(wide.json().code, 'keys.too.many');
+    });
+
+    it('keeps integers beyond the safe range as strings', async () => {
+        const response = await server.request({ path: '/bigint', headers, body: '{"id":12345678901234567890}' });
+        assert.deepEqual(response.json().body, { id: '12345678901234567890' });
+    });
+
+    it('validates the body against the schema with coercion and defaults', async () => {
+        const valid = await server.request({ path: '/schema', headers, body: '{"age":"42"}' });
+        assert.deepEqual(valid.json().body, { age: 42, role: 'user' });
+
+        const invalid = await server.request({ path: '/schema', headers, body: '{}' });
+        assert.equal(invalid.status, 422);
+        assert.equal(invalid.json().code, 'entity.validation.failed');
+        assert.deepEqual(
+            invalid.json().errors.map((error) => error.path),
+            ['/age']
+        );
+    });
+
+    it('reuses schemas which are already registered by their $id', () => {
+        const schema = () => ({ $id: 'https://example.com/user.json', type: 'object' });
+        assert.doesNotThrow(() => {
+            BodyParser.json({ schema: schema() });
+            BodyParser.json({ schema: schema() });
+        });
+
+        // A different schema must not silently reuse the schema which is registered by the same $id
+        assert.throws(() => BodyParser.json({ schema: { ...schema(), required: ['name'] } }), /already exists/);
+    });
+
+    it('skips requests without a body', async () => {
+        const response = await server.request({ headers });
+        assert.deepEqual(response.json().body, {});
+    });
+});
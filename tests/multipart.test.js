@@ -0,0 +1,151 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assert = require('node:assert/strict');
+const { describe, it, before, after } = require('node:test');
+
+const BodyParser = require('..');
+const { start_server, echo_route } = require('./harness.js');
+
+const BOUNDARY = 'hyper-express-body-parser';
+
+/**
+ * Builds a multipart/form-data body from the provided fields and files.
+ *
+ * @param {Object<string, string>} fields
+ * @param {Array<{field: String, name: String, type: String, data: (String|Buffer)}>} files
+ * @returns {Buffer}
+ */
+function form_data(fields = {}, files = []) {
+    const parts = [];
+    for (const [name, value] of Object.entries(fields))
+        parts.push(`--${BOUNDARY}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`);
+    for (const { field, name, type, data } of files) {
+        parts.push(
+            `--${BOUNDARY}\r\nContent-Disposition: form-data; name="${field}"; filename="${name}"\r\nContent-Type: ${type}\r\n\r\n`
+        );
+        parts.push(data, '\r\n');
+    }
+    parts.push(`--${BOUNDARY}--\r\n`);
+    return Buffer.concat(parts.map((part) => Buffer.from(part)));
+}
+
+describe('multipart()', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'body-parser-'));
+
+    let server;
+    before(async () => {
+        server = await start_server((app) => {
+            echo_route(app, '/', BodyParser.multipart());
+            echo_route(app, '/limited', BodyParser.multipart({ limits: { fileSize: 8, fields: 2 } }));
+            echo_route(app, '/filtered', BodyParser.multipart({ filter: (file) => file.mime_type === 'image/png' }));
+            echo_route(
+                app,
+                '/disk',
+                BodyParser.multipart({ storage: BodyParser.storage.disk({ directory }), limits: { fileSize: 8 } })
+            );
+        });
+    });
+    after(() => {
+        server.close();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    const headers = { 'content-type': `multipart/form-data; boundary=${BOUNDARY}` };
+
+    it('parses fields into the body and files into the files', async () => {
+        const response = await server.request({
+            headers,
+            body: form_data({ name: 'hyper', tag: 'a' }, [
+                { field: 'avatar', name: 'Avatar.PNG', type: 'image/png', data: 'png data' },
+            ]),
+        });
+        const { body, files } = response.json();
+        assert.deepEqual(body, { name: 'hyper', tag: 'a' });
+        assert.equal(files.length, 1);
+        assert.equal(files[0].field, 'avatar');
+        assert.equal(files[0].name, 'Avatar.PNG');
+        assert.equal(files[0].extension, '.png');
+        assert.equal(files[0].mime_type, 'image/png');
+        assert.equal(files[0].size, 8);
+        assert.equal(Buffer.from(files[0].buffer.buffer, 'base64').toString(), 'png data');
+    });
+
+    it('converts repeated fields into an Array', async () => {
+        const body = Buffer.concat([
+            Buffer.from(`--${BOUNDARY}\r\nContent-Disposition: form-data; name="tag"\r\n\r\na\r\n`),
+            form_data({ tag: 'b' }),
+        ]);
+        const response = await server.request({ headers, body });
+        assert.deepEqual(response.json().body, { tag: ['a', 'b'] });
+    });
+
+    it('rejects files and fields beyond the limits with 413', async () => {
+        const exact = await server.request({
+            path: '/limited',
+            headers,
+            body: form_data({}, [
+                { field: 'file', name: 'exact.bin', type: 'application/octet-stream', data: 'x'.repeat(8) },
+            ]),
+        });
+        assert.equal(exact.status, 200);
+
+        const file = await server.request({
+            path: '/limited',
+            headers,
+            body: form_data({}, [
+                { field: 'file', name: 'big.bin', type: 'application/octet-stream', data: 'x'.repeat(64) },
+            ]),
+        });
+        assert.equal(file.status, 413);
+        assert.equal(file.json().limit, 'limits.fileSize');
+
+        const fields = await server.request({ path: '/limited', headers, body: form_data({ a: 1, b: 2, c: 3 }) });
+        assert.equal(fields.status, 413);
+        assert.equal(fields.json().limit, 'limits.fields');
+    });
+
+    it('skips files which are refused by the filter', async () => {
+        const response = await server.request({
+            path: '/filtered',
+            headers,
+            body: form_data({}, [
+                { field: 'a', name: 'a.png', type: 'image/png', data: 'png' },
+                { field: 'b', name: 'b.exe', type: 'application/octet-stream', data: 'exe' },
+            ]),
+        });
+        assert.deepEqual(
+            response.json().files.map((file) => file.name),
+            ['a.png']
+        );
+    });
+
+    it('writes files to disk and removes them when the body is rejected', async () => {
+        const stored = await server.request({
+            path: '/disk',
+            headers,
+            body: form_data({}, [{ field: 'file', name: 'small.txt', type: 'text/plain', data: 'small' }]),
+        });
+        const [file] = stored.json().files;
+        assert.equal(path.dirname(file.path), directory);
+        assert.equal(fs.readFileSync(file.path, 'utf8'), 'small');
+        fs.unlinkSync(file.path);
+
+        const rejected = await server.request({
+            path: '/disk',
+            headers,
+            body: form_data({}, [
+                { field: 'a', name: 'a.txt', type: 'text/plain', data: 'small' },
+                { field: 'b', name: 'b.txt', type: 'text/plain', data: 'x'.repeat(64) },
+            ]),
+        });
+        assert.equal(rejected.status, 413);
+        assert.deepEqual(fs.readdirSync(directory), []);
+    });
+
+    it('rejects bodies without a valid boundary with 400', async () => {
+        const response = await server.request({ headers: { 'content-type': 'multipart/form-data' }, body: 'data' });
+        assert.equal(response.status, 400);
+        assert.equal(response.json().code, 'entity.parse.failed');
+    });
+});
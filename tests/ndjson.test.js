@@ -0,0 +1,103 @@
+const zlib = require('zlib');
+const assert = require('node:assert/strict');
+const { describe, it, before, after } = require('node:test');
+
+const BodyParser = require('..');
+const { start_server, echo_route } = require('./harness.js');
+
+describe('ndjson()', () => {
+    const records = [];
+
+    let server;
+    before(async () => {
+        server = await start_server((app) => {
+            echo_route(app, '/', BodyParser.ndjson({ lineLimit: 32 }));
+            echo_route(
+                app,
+                '/stream',
+                BodyParser.ndjson({ onRecord: async (record, line) => records.push({ record, line }) })
+            );
+            echo_route(
+                app,
+                '/throwing',
+                BodyParser.ndjson({
+                    onRecord: () => {
+                        throw 'record rejected';
+                    },
+                })
+            );
+
+            // Respond to errors thrown by the onRecord callback
+            app.set_error_handler((request, response, error) =>
+                response.status(500).json({ message: error.message, cause: error.cause })
+            );
+        });
+    });
+    after(() => server.close());
+
+    const headers = { 'content-type': 'application/x-ndjson' };
+
+    it('parses each line into a record and skips blank lines', async () => {
+        const response = await server.request({ headers, body: '{"a":1}\n\n[2]\r\n"three"\n' });
+        assert.deepEqual(response.json().body, [{ a: 1 }, [2], 'three']);
+    });
+
+    it('parses records split across chunks and compressed bodies', async () => {
+        const split = await server.request({ headers, body: ['{"a":', '1}\n{"b"', ':2}'] });
+        assert.deepEqual(split.json().body, [{ a: 1 }, { b: 2 }]);
+
+        const compressed = await server.request({
+            headers: { ...headers, 'content-encoding': 'gzip' },
+            body: zlib.gzipSync('{"a":1}\n{"b":2}\n'),
+        });
+        assert.deepEqual(compressed.json().body, [{ a: 1 }, { b: 2 }]);
+    });
+
+    it('accepts aliases of utf-8 and rejects other charsets with 415', async () => {
+        const alias = await server.request({
+            headers: { 'content-type': 'application/x-ndjson; charset=utf8' },
+            body: '{"a":1}\n',
+        });
+        assert.deepEqual(alias.json().body, [{ a: 1 }]);
+
+        const other = await server.request({
+            headers: { 'content-type': 'application/x-ndjson; charset=utf-16' },
+            body: '{"a":1}\n',
+        });
+        assert.equal(other.status, 415);
+        assert.equal(other.json().code, 'charset.unsupported');
+    });
+
+    it('passes each record to the onRecord callback instead of collecting them', async () => {
+        const response = await server.request({ path: '/stream', headers, body: '{"a":1}\n{"b":2}' });
+        assert.deepEqual(response.json().body, []);
+        assert.deepEqual(records, [
+            { record: { a: 1 }, line: 1 },
+            { record: { b: 2 }, line: 2 },
+        ]);
+    });
+
+    it('throws values thrown by the onRecord callback to the global error handler as errors', async () => {
+        const response = await server.request({ path: '/throwing', headers, body: '{"a":1}\n{"b":2}\n' });
+        assert.equal(response.status, 500);
+        assert.deepEqual(response.json(), { message: 'record rejected', cause: 'record rejected' });
+
+        // The server keeps serving requests after the thrown value was handled
+        const next = await server.request({ headers, body: '{"a":1}\n' });
+        assert.deepEqual(next.json().body, [{ a: 1 }]);
+    });
+
+    it('rejects malformed lines with 400 and the line number', async () => {
+        const response = await server.request({ headers, body: '{"a":1}\n{"b":\n' });
+        assert.equal(response.status, 400);
+        assert.equal(response.json().code, 'entity.parse.failed');
+        assert.equal(response.json().line, 2);
+    });
+
+    it('rejects lines beyond the lineLimit with 413', async () => {
+        const response = await server.request({ headers, body: `{"a":1}\n"${'x'.repeat(64)}"\n` });
+        assert.equal(response.status, 413);
+        assert.equal(response.json().limit, 'lineLimit');
+        assert.equal(response.json().line, 2);
+    });
+});
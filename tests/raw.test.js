@@ -0,0 +1,189 @@
+const zlib = require('zlib');
+const crypto = require('crypto');
+const assert = require('node:assert/strict');
+const { describe, it, before, after } = require('node:test');
+
+const BodyParser = require('..');
+const { start_server, echo_route } = require('./harness.js');
+
+describe('raw()', () => {
+    let server;
+    before(async () => {
+        server = await start_server((app) => {
+            echo_route(app, '/', BodyParser.raw());
+            echo_route(app, '/small', BodyParser.raw({ limit: 16 }));
+            echo_route(app, '/identity', BodyParser.raw({ inflate: false }));
+            echo_route(app, '/gzip-only', BodyParser.raw({ encodings: ['gzip'] }));
+            echo_route(app, '/inflated', BodyParser.raw({ limit: '1kb', inflatedLimit: 64 }));
+            echo_route(app, '/inflated-large', BodyParser.raw({ limit: '1mb', inflatedLimit: '16kb' }));
+            echo_route(app, '/ratio', BodyParser.raw({ limit: '1mb', maxRatio: 10 }));
+            echo_route(
+                app,
+                '/verify',
+                BodyParser.raw({ verify: (request, response, buffer) => buffer.toString() === 'trusted' })
+            );
+
+            // Respond with the lazily parsed body only when requested
+            app.post('/lazy', BodyParser.raw({ lazy: true, limit: 16 }), async (request, response) => {
+                if (request.headers['x-read'] !== 'yes') return response.json({ read: false });
+                const body = await request.parsedBody();
+                response.json({ read: true, body: body.toString(), same: body === (await request.parsedBody()) });
+            });
+        });
+    });
+    after(() => server.close());
+
+    const headers = { 'content-type': 'application/octet-stream' };
+
+    it('parses the body into a Buffer', async () => {
+        const response = await server.request({ headers, body: Buffer.from([1, 2, 3]) });
+        assert.equal(response.status, 200);
+        assert.deepEqual(response.json().body, { buffer: Buffer.from([1, 2, 3]).toString('base64') });
+    });
+
+    it('skips requests without a body or with another content type', async () => {
+        const empty = await server.request({ headers });
+        assert.deepEqual(empty.json().body, { buffer: '' });
+
+        const other = await server.request({ headers: { 'content-type': 'text/plain' }, body: 'text' });
+        assert.deepEqual(other.json().body, { buffer: '' });
+    });
+
+    it('rejects a declared length over the limit immediately and closes the connection', async () => {
+        const response = await server.request({ path: '/small', headers, body: Buffer.alloc(64) });
+        assert.equal(response.status, 413);
+        assert.equal(response.headers['connection'], 'close');
+        assert.equal(response.headers['content-type'], 'application/problem+json');
+        assert.deepEqual(response.json(), {
+            type: 'about:blank',
+            title: 'Payload Too Large',
+            status: 413,
+            detail: 'Request body exceeded the limit of 16 bytes',
+            code: 'entity.too.large',
+            limit: 'limit',
+            expected: 16,
+            received: 64,
+        });
+    });
+
+    it('flushes a large body over the limit before responding with 413', async () => {
+        const response = await server.request({ path: '/small', headers, body: Buffer.alloc(128 * 1024) });
+        assert.equal(response.status, 413);
+        assert.equal(response.json().received, 128 * 1024);
+
+        // The server keeps serving requests after the oversized body was flushed
+        const next = await server.request({ path: '/small', headers, body: Buffer.from('ok') });
+        assert.equal(next.status, 200);
+    });
+
+    for (const [coding, compress] of [
+        ['gzip', zlib.gzipSync],
+        ['deflate', zlib.deflateSync],
+        ['br', zlib.brotliCompressSync],
+    ]) {
+        it(`inflates ${coding} bodies`, async () => {
+            const response = await server.request({
+                headers: { ...headers, 'content-encoding': coding },
+                body: compress(Buffer.from('compressed')),
+            });
+            assert.equal(Buffer.from(response.json().body.buffer, 'base64').toString(), 'compressed');
+        });
+    }
+
+    it('inflates stacked content codings in reverse order', async () => {
+        const response = await server.request({
+            headers: { ...headers, 'content-encoding': 'deflate, gzip' },
+            body: zlib.gzipSync(zlib.deflateSync(Buffer.from('stacked'))),
+        });
+        assert.equal(Buffer.from(response.json().body.buffer, 'base64').toString(), 'stacked');
+    });
+
+    it('rejects compressed bodies which are not allowed with 415', async () => {
+        const disabled = await server.request({
+            path: '/identity',
+            headers: { ...headers, 'content-encoding': 'gzip' },
+            body: zlib.gzipSync('x'),
+        });
+        assert.equal(disabled.status, 415);
+        assert.deepEqual(disabled.json().expected, ['identity']);
+
+        const disallowed = await server.request({
+            path: '/gzip-only',
+            headers: { ...headers, 'content-encoding': 'deflate' },
+            body: zlib.deflateSync('x'),
+        });
+        assert.equal(disallowed.status, 415);
+        assert.equal(disallowed.json().code, 'encoding.unsupported');
+    });
+
+    it('rejects bodies which inflate beyond the inflatedLimit or maxRatio with 413', async () => {
+        const inflated = await server.request({
+            path: '/inflated',
+            headers: { ...headers, 'content-encoding': 'gzip' },
+            body: zlib.gzipSync(Buffer.alloc(1024)),
+        });
+        assert.equal(inflated.status, 413);
+        assert.equal(inflated.json().limit, 'inflatedLimit');
+
+        const ratio = await server.request({
+            path: '/ratio',
+            headers: { ...headers, 'content-encoding': 'gzip' },
+            body: zlib.gzipSync(Buffer.alloc(512 * 1024)),
+        });
+        assert.equal(ratio.status, 413);
+        assert.equal(ratio.json().limit, 'maxRatio');
+    });
+
+    it('discards the remainder of a body rejected while it is still being received', async () => {
+        // Random data does not compress so most of the body is still on the wire when the inflatedLimit is exceeded
+        const response = await server.request({
+            path: '/inflated-large',
+            headers: { ...headers, 'content-encoding': 'gzip' },
+            body: zlib.gzipSync(crypto.randomBytes(200 * 1024)),
+        });
+        assert.equal(response.status, 413);
+        assert.equal(response.json().limit, 'inflatedLimit');
+    });
+
+    it('rejects corrupt compressed bodies with 400', async () => {
+        const response = await server.request({
+            headers: { ...headers, 'content-encoding': 'gzip' },
+            body: Buffer.from('not gzip'),
+        });
+        assert.equal(response.status, 400);
+        assert.equal(response.json().code, 'entity.decode.failed');
+    });
+
+    it('rejects bodies which fail verification with 403', async () => {
+        const trusted = await server.request({ path: '/verify', headers, body: 'trusted' });
+        assert.equal(trusted.status, 200);
+
+        const untrusted = await server.request({ path: '/verify', headers, body: 'forged' });
+        assert.equal(untrusted.status, 403);
+        assert.equal(untrusted.json().code, 'entity.verify.failed');
+    });
+
+    it('only reads lazy bodies when they are requested', async () => {
+        const unread = await server.request({ path: '/lazy', headers, body: 'ignored' });
+        assert.deepEqual(unread.json(), { read: false });
+
+        const read = await server.request({ path: '/lazy', headers: { ...headers, 'x-read': 'yes' }, body: 'used' });
+        assert.deepEqual(read.json(), { read: true, body: 'used', same: true });
+
+        // Lazy bodies are still rejected up front when the declared length exceeds the limit
+        const oversized = await server.request({ path: '/lazy', headers, body: Buffer.alloc(32) });
+        assert.equal(oversized.status, 413);
+    });
+
+    it('resolves the lazily parsed body with the default body when there is nothing to parse', async () => {
+        const other = await server.request({
+            path: '/lazy',
+            headers: { 'content-type': 'text/plain', 'x-read': 'yes' },
+            body: 'text',
+        });
+        assert.deepEqual(other.json(), { read: true, body: '', same: true });
+
+        const empty = await server.request({ path: '/lazy', headers: { ...headers, 'x-read': 'yes' } });
+        assert.deepEqual(empty.json(), { read: true, body: '', same: true });
+    });
+});
@@ -0,0 +1,294 @@
+const zlib = require('zlib');
+const diagnostics_channel = require('diagnostics_channel');
+const assert = require('node:assert/strict');
+const { describe, it, before, after } = require('node:test');
+
+const BodyParser = require('..');
+const { has_body, preflight_body } = require('../src/shared.js');
+const { start_server, echo_route } = require('./harness.js');
+
+describe('shared behavior', () => {
+    const events = [];
+    const global_events = [];
+
+    let server;
+    before(async () => {
+        server = await start_server((app) => {
+            echo_route(app, '/', BodyParser.json({ limit: 64 }));
+            echo_route(app, '/length', BodyParser.json({ requireLength: true }));
+            echo_route(
+                app,
+                '/dynamic',
+                BodyParser.raw({
+                    limit: (request) => (request.headers['x-plan'] === 'pro' ? '1kb' : 32),
+                    inflate: (request) => request.headers['x-plan'] === 'pro',
+                })
+            );
+            echo_route(app, '/invalid-limit', BodyParser.raw({ limit: (request) => request.headers['x-limit'] }));
+            echo_route(
+                app,
+                '/custom',
+                BodyParser.json({
+                    onError: (error, request, response) => response.status(error.status).send(`custom ${error.type}`),
+                })
+            );
+            echo_route(app, '/passthrough', BodyParser.json({ onError: 'passthrough' }));
+            echo_route(
+                app,
+                '/instrumented',
+                BodyParser.json({ instrumentation: (event, payload) => events.push({ event, payload }) })
+            );
+            echo_route(
+                app,
+                '/instrumented-throwing',
+                BodyParser.json({
+                    instrumentation: () => {
+                        throw new Error('instrumentation failed');
+                    },
+                })
+            );
+            echo_route(
+                app,
+                '/instrumented-ndjson',
+                BodyParser.ndjson({ instrumentation: (event, payload) => events.push({ event, payload }) })
+            );
+
+            // Respond to errors thrown by passthrough parsers
+            app.set_error_handler((request, response, error) =>
+                response.status(error.status || 500).send(`handled ${error.type}`)
+            );
+        });
+    });
+    after(() => server.close());
+
+    const headers = { 'content-type': 'application/json' };
+
+    describe('preflight', () => {
+        // Stubs a request which has already been received and a response which records what is sent
+        // Note: uWS answers requests with malformed framing headers itself before they reach any middleware
+        const stub = (headers) => {
+            const request = { headers, received: true, unpipe: () => {} };
+            const response = {
+                headers: {},
+                status(code) {
+                    this.code = code;
+                    return this;
+                },
+                header(name, value) {
+                    this.headers[name] = value;
+                    return this;
+                },
+                send(body) {
+                    this.body = body;
+                    this.initiated = true;
+                },
+            };
+            return { request, response };
+        };
+
+        it('considers requests with a malformed content length to have a body', () => {
+            assert.equal(has_body({ headers: { 'content-length': '2x' } }), true);
+            assert.equal(has_body({ headers: {} }), false);
+        });
+
+        it('rejects a malformed content length with 400', async () => {
+            const { request, response } = stub({ 'content-length': '2x' });
+            assert.equal(await preflight_body(request, response, { name: 'json', limit: 64 }), false);
+            assert.equal(response.code, 400);
+            assert.equal(response.headers['content-type'], 'application/problem+json');
+            assert.equal(JSON.parse(response.body).code, 'length.invalid');
+            assert.equal(JSON.parse(response.body).received, '2x');
+        });
+
+        it('rejects a content length together with a transfer encoding with 400', async () => {
+            const { request, response } = stub({ 'content-length': '2', 'transfer-encoding': 'chunked' });
+            assert.equal(await preflight_body(request, response, { name: 'json', limit: 64 }), false);
+            assert.equal(response.code, 400);
+            assert.equal(JSON.parse(response.body).code, 'length.conflict');
+            assert.equal(JSON.parse(response.body).received, 'chunked');
+        });
+
+        it('rejects bodies without a content length with 411 when requireLength is set', async () => {
+            const chunked = await server.request({ path: '/length', headers, body: ['{', '}'], chunked: true });
+            assert.equal(chunked.status, 411);
+            assert.equal(chunked.json().code, 'length.required');
+
+            const declared = await server.request({ path: '/length', headers, body: '{}' });
+            assert.equal(declared.status, 200);
+        });
+    });
+
+    describe('options', () => {
+        const parsers = ['raw', 'text', 'json', 'urlencoded', 'multipart', 'ndjson', 'cbor', 'msgpack'];
+
+        it('validates the shared options of every parser', () => {
+            for (const name of parsers) {
+                for (const [option, value] of [
+                    ['type', 1],
+                    ['encodings', 'gzip'],
+                    ['maxRatio', 0],
+                    ['onError', 'ignore'],
+                    ['instrumentation', true],
+                    ['requireLength', 'yes'],
+                ])
+                    assert.throws(
+                        () => BodyParser[name]({ [option]: value }),
+                        new RegExp(
+                            `^Error: HyperExpress\\.BodyParser\\.${name}\\(options\\) -> options\\.${option} must be`
+                        ),
+                        `${name} ${option}`
+                    );
+            }
+        });
+
+        it('accepts an Array of media types for every parser', () => {
+            for (const name of parsers) BodyParser[name]({ type: ['application/a', 'application/b'] });
+        });
+    });
+
+    describe('dynamic options', () => {
+        it('resolves the limit and inflate options for each request', async () => {
+            const body = Buffer.alloc(64);
+            const free = await server.request({
+                path: '/dynamic',
+                headers: { 'content-type': 'application/octet-stream' },
+                body,
+            });
+            assert.equal(free.status, 413);
+            assert.equal(free.json().expected, 32);
+
+            const pro = await server.request({
+                path: '/dynamic',
+                headers: { 'content-type': 'application/octet-stream', 'x-plan': 'pro' },
+                body,
+            });
+            assert.equal(pro.status, 200);
+
+            const compressed = await server.request({
+                path: '/dynamic',
+                headers: { 'content-type': 'application/octet-stream', 'content-encoding': 'gzip' },
+                body: zlib.gzipSync('x'),
+            });
+            assert.equal(compressed.status, 415);
+        });
+
+        it('throws to the global error handler when a limit function resolves an invalid limit', async () => {
+            const headers = { 'content-type': 'application/octet-stream' };
+            for (const limit of [undefined, 'many']) {
+                const response = await server.request({
+                    path: '/invalid-limit',
+                    headers: limit === undefined ? headers : { ...headers, 'x-limit': limit },
+                    body: 'a',
+                });
+                assert.equal(response.status, 500, String(limit));
+                assert.equal(response.body.toString(), 'handled undefined');
+            }
+
+            const valid = await server.request({
+                path: '/invalid-limit',
+                headers: { ...headers, 'x-limit': '1kb' },
+                body: 'a',
+            });
+            assert.equal(valid.status, 200);
+        });
+    });
+
+    describe('error handling', () => {
+        it('responds with RFC 7807 problem details by default', async () => {
+            const response = await server.request({ headers, body: '{' });
+            assert.equal(response.headers['content-type'], 'application/problem+json');
+            assert.equal(response.json().status, 400);
+        });
+
+        it('responds through the onError callback', async () => {
+            const response = await server.request({ path: '/custom', headers, body: '{' });
+            assert.equal(response.status, 400);
+            assert.equal(response.body.toString(), 'custom entity.parse.failed');
+        });
+
+        it('throws to the global error handler when onError is passthrough', async () => {
+            const response = await server.request({ path: '/passthrough', headers, body: '{' });
+            assert.equal(response.status, 400);
+            assert.equal(response.body.toString(), 'handled entity.parse.failed');
+        });
+    });
+
+    describe('instrumentation', () => {
+        const channel_events = [];
+        const on_parsed = (payload) => channel_events.push(payload.parser);
+
+        before(() => {
+            BodyParser.setInstrumentation((event) => global_events.push(event));
+            diagnostics_channel.subscribe('hyper-express-body-parser:parsed', on_parsed);
+        });
+        after(() => {
+            BodyParser.setInstrumentation(undefined);
+            diagnostics_channel.unsubscribe('hyper-express-body-parser:parsed', on_parsed);
+        });
+
+        it('emits each lifecycle event of a parsed body', async () => {
+            events.length = 0;
+            await server.request({
+                path: '/instrumented',
+                headers: { ...headers, 'content-encoding': 'gzip' },
+                body: zlib.gzipSync('{"a":1}'),
+            });
+            assert.deepEqual(
+                events.map(({ event }) => event),
+                ['start', 'decompressed', 'parsed']
+            );
+
+            const { payload } = events[2];
+            assert.equal(payload.parser, 'json');
+            assert.equal(payload.encoding, 'gzip');
+            assert.equal(payload.inflated_bytes, 7);
+            assert.equal(typeof payload.duration, 'number');
+        });
+
+        it('emits the byte counts of streamed bodies', async () => {
+            events.length = 0;
+            await server.request({
+                path: '/instrumented-ndjson',
+                headers: { 'content-type': 'application/x-ndjson' },
+                body: ['{"a":1}\n', '{"b":2}\n'],
+            });
+            assert.deepEqual(
+                events.map(({ event }) => event),
+                ['start', 'decompressed', 'parsed']
+            );
+            assert.equal(events[1].payload.wire_bytes, 16);
+            assert.equal(events[1].payload.inflated_bytes, 16);
+        });
+
+        it('emits a rejected event with the error of a rejected body', async () => {
+            events.length = 0;
+            await server.request({ path: '/instrumented', headers, body: '{' });
+            const rejected = events.find(({ event }) => event === 'rejected');
+            assert.equal(rejected.payload.error.type, 'entity.parse.failed');
+        });
+
+        it('reports errors thrown by instrumentation handlers as warnings and keeps responding', async () => {
+            const warnings = [];
+            const on_warning = (warning) => warnings.push(warning.message);
+            process.on('warning', on_warning);
+            try {
+                for (let i = 0; i < 2; i++) {
+                    const response = await server.request({ path: '/instrumented-throwing', headers, body: '{"a":1}' });
+                    assert.equal(response.status, 200);
+                    assert.deepEqual(response.json().body, { a: 1 });
+                }
+            } finally {
+                process.removeListener('warning', on_warning);
+            }
+            assert.ok(warnings.includes('instrumentation failed'));
+        });
+
+        it('publishes events to the global handler and diagnostics channels', async () => {
+            global_events.length = 0;
+            channel_events.length = 0;
+            await server.request({ headers, body: '{}' });
+            assert.deepEqual(global_events, ['start', 'decompressed', 'parsed']);
+            assert.deepEqual(channel_events, ['json']);
+        });
+    });
+});
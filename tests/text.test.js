@@ -0,0 +1,65 @@
+const iconv = require('iconv-lite');
+const assert = require('node:assert/strict');
+const { describe, it, before, after } = require('node:test');
+
+const BodyParser = require('..');
+const { start_server, echo_route } = require('./harness.js');
+
+describe('text()', () => {
+    let server;
+    before(async () => {
+        server = await start_server((app) => {
+            echo_route(app, '/', BodyParser.text());
+            echo_route(app, '/latin1', BodyParser.text({ defaultCharset: 'latin1' }));
+            echo_route(
+                app,
+                '/dynamic',
+                BodyParser.text({ defaultCharset: async (request) => request.headers['x-charset'] || 'utf-8' })
+            );
+        });
+    });
+    after(() => server.close());
+
+    it('parses the body into a String', async () => {
+        const response = await server.request({ headers: { 'content-type': 'text/plain' }, body: 'héllo' });
+        assert.equal(response.json().body, 'héllo');
+    });
+
+    it('decodes the body with the charset of the content type through iconv-lite', async () => {
+        for (const charset of ['iso-8859-1', 'windows-1252', 'utf-16le', 'shift_jis']) {
+            const text = charset === 'shift_jis' ? 'こんにちは' : 'naïve café';
+            const response = await server.request({
+                headers: { 'content-type': `text/plain; charset=${charset}` },
+                body: iconv.encode(text, charset),
+            });
+            assert.equal(response.json().body, text, charset);
+        }
+    });
+
+    it('decodes the body with the defaultCharset when the content type has no charset', async () => {
+        const body = iconv.encode('café', 'latin1');
+        const fixed = await server.request({ path: '/latin1', headers: { 'content-type': 'text/plain' }, body });
+        assert.equal(fixed.json().body, 'café');
+
+        const dynamic = await server.request({
+            path: '/dynamic',
+            headers: { 'content-type': 'text/plain', 'x-charset': 'latin1' },
+            body,
+        });
+        assert.equal(dynamic.json().body, 'café');
+    });
+
+    it('rejects bodies with an unknown charset with 400', async () => {
+        const response = await server.request({
+            headers: { 'content-type': 'text/plain; charset=unknown-charset' },
+            body: 'text',
+        });
+        assert.equal(response.status, 400);
+        assert.equal(response.json().code, 'charset.decode.failed');
+    });
+
+    it('skips requests with another content type', async () => {
+        const response = await server.request({ headers: { 'content-type': 'application/json' }, body: '{}' });
+        assert.equal(response.json().body, '');
+    });
+});
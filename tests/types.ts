@@ -0,0 +1,81 @@
+// This file is only type-checked with tsc to ensure the definitions in index.d.ts describe every parser option
+import BodyParser = require('..');
+import BodyParserError = BodyParser.BodyParserError;
+
+BodyParser.raw();
+BodyParser.raw({ limit: '1mb', inflate: false, encodings: ['gzip', 'br'], maxRatio: 10, lazy: true });
+BodyParser.text({ defaultCharset: (request) => request.headers['x-charset'] || 'utf-8', requireLength: true });
+BodyParser.json({
+    strict: async () => false,
+    limit: (request) => (request.headers['x-tenant'] === 'admin' ? '10mb' : 1024),
+    inflatedLimit: '5mb',
+    protoAction: 'remove',
+    maxDepth: 16,
+    maxKeys: 1000,
+    bigint: 'string',
+    reviver: (key, value) => value,
+    schema: { type: 'object', required: ['name'] },
+    verify: BodyParser.verifiers.all(
+        BodyParser.verifiers.hmac({ header: 'x-signature', secret: ['old', Buffer.from('new')], prefix: 'sha256=' }),
+        BodyParser.verifiers.timestamp({ header: 'x-timestamp', tolerance: 60 })
+    ),
+    onError: (error, request, response) => {
+        response.status(error.status).json({ code: error.type, expected: error.expected });
+    },
+    instrumentation: (event, payload) => {
+        const bytes: number | undefined = payload.wire_bytes;
+        if (event === 'rejected' && payload.error) console.log(payload.parser, payload.duration, bytes);
+    },
+});
+BodyParser.raw({
+    verify: BodyParser.verifiers.all(
+        BodyParser.verifiers.timestamp({ header: 'stripe-signature', field: 't' }),
+        BodyParser.verifiers.hmac({
+            header: 'stripe-signature',
+            secret: 'whsec_secret',
+            fields: { signature: 'v1', timestamp: 't' },
+            payload: (buffer, request, timestamp) => `${timestamp}.${buffer.toString()}`,
+        })
+    ),
+});
+BodyParser.urlencoded({ extended: true, parameterLimit: 10, depth: 5, allowDots: true, charset: 'iso-8859-1' });
+BodyParser.multipart({
+    limits: { fileSize: 1024, files: 2 },
+    storage: BodyParser.storage.disk({ directory: '/tmp', filename: (file) => file.name }),
+    filter: (file) => file.mime_type.startsWith('image/'),
+    onError: 'passthrough',
+});
+BodyParser.multipart({ storage: BodyParser.storage.memory() });
+BodyParser.ndjson({ onRecord: async (record, line) => void [record, line], lineLimit: '10kb' });
+BodyParser.cbor({ maxDepth: 8 });
+BodyParser.msgpack({ type: ['application/msgpack', 'application/vnd.msgpack'] });
+BodyParser.protobuf({
+    type: { decode: (buffer: Buffer) => ({ size: buffer.length }) },
+    mediaType: 'application/protobuf',
+});
+BodyParser.auto({ json: { strict: false }, multipart: true, fallback: 'reject' });
+
+const yaml = BodyParser.createParser({ name: 'yaml', type: 'application/yaml', decode: (buffer) => buffer.toString() });
+yaml({ limit: '10kb', lazy: true });
+
+BodyParser.setInstrumentation((event, payload) => console.log(event, payload.parser));
+BodyParser.setInstrumentation();
+
+const error = new BodyParserError(413, 'entity.too.large', 'Too large', { limit: 'limit', expected: 10 });
+const status: number = error.status;
+void status;
+
+// @ts-expect-error The protobuf parser requires a message type
+BodyParser.protobuf({});
+
+// @ts-expect-error The fallback must be 'next' or 'reject'
+BodyParser.auto({ fallback: 'ignore' });
+
+// @ts-expect-error The protoAction must be 'error', 'remove' or 'ignore'
+BodyParser.json({ protoAction: 'strip' });
+
+// @ts-expect-error The lazy option is not supported by streaming parsers
+BodyParser.multipart({ lazy: true });
+
+// @ts-expect-error The onError option must be a function or 'passthrough'
+BodyParser.text({ onError: 'ignore' });
@@ -0,0 +1,80 @@
+const assert = require('node:assert/strict');
+const { describe, it, before, after } = require('node:test');
+
+const BodyParser = require('..');
+const { start_server, echo_route } = require('./harness.js');
+
+describe('urlencoded()', () => {
+    let server;
+    before(async () => {
+        server = await start_server((app) => {
+            echo_route(app, '/', BodyParser.urlencoded());
+            echo_route(app, '/extended', BodyParser.urlencoded({ extended: true, parameterLimit: 5 }));
+            echo_route(app, '/latin1', BodyParser.urlencoded({ charset: 'iso-8859-1' }));
+            echo_route(app, '/shallow', BodyParser.urlencoded({ extended: true, depth: 1 }));
+        });
+    });
+    after(() => server.close());
+
+    const headers = { 'content-type': 'application/x-www-form-urlencoded' };
+
+    it('parses flat key value pairs', async () => {
+        const response = await server.request({ headers, body: 'name=hyper&tags=a&tags=b' });
+        assert.deepEqual(response.json().body, { name: 'hyper', tags: ['a', 'b'] });
+    });
+
+    it('parses nested objects and arrays in extended mode', async () => {
+        const response = await server.request({
+            path: '/extended',
+            headers,
+            body: 'user[name]=hyper&user[roles][]=admin&user[roles][]=dev',
+        });
+        assert.deepEqual(response.json().body, { user: { name: 'hyper', roles: ['admin', 'dev'] } });
+    });
+
+    it('rejects bodies with too many parameters with 413', async () => {
+        const response = await server.request({ path: '/extended', headers, body: 'a=1&b=2&c=3&d=4&e=5&f=6' });
+        assert.equal(response.status, 413);
+        assert.equal(response.json().code, 'parameters.too.many');
+    });
+
+    it('rejects bodies nested deeper than the depth with 400', async () => {
+        const response = await server.request({ path: '/shallow', headers, body: 'a[b][c]=1' });
+        assert.equal(response.status, 400);
+        assert.equal(response.json().code, 'depth.exceeded');
+        assert.equal(response.json().expected, 1);
+
+        const shallow = await server.request({ path: '/shallow', headers, body: 'a[b]=1' });
+        assert.deepEqual(shallow.json().body, { a: { b: '1' } });
+
+        // Brackets are kept in the keys as nothing is nested when extended is not set
+        const flat = await server.request({ headers, body: 'a[b][c]=1' });
+        assert.deepEqual(flat.json().body, { 'a[b][c]': '1' });
+    });
+
+    it('drops keys which address the prototype', async () => {
+        const body = '__proto__=x&constructor=y&__proto__[admin]=1&constructor[prototype][admin]=1&name=ok';
+        for (const path of ['/', '/extended']) {
+            const response = await server.request({ path, headers, body });
+            assert.equal(response.status, 200, path);
+            assert.deepEqual(response.json().body, { name: 'ok' }, path);
+        }
+        assert.equal({}.admin, undefined);
+    });
+
+    it('decodes percent encoded ISO-8859-1 values', async () => {
+        const response = await server.request({ path: '/latin1', headers, body: 'name=caf%E9' });
+        assert.deepEqual(response.json().body, { name: 'café' });
+    });
+
+    it('accepts aliases of the supported charsets', async () => {
+        for (const charset of ['utf8', 'UTF-8', 'latin1']) {
+            const response = await server.request({
+                headers: { 'content-type': `application/x-www-form-urlencoded; charset=${charset}` },
+                body: 'name=hyper',
+            });
+            assert.equal(response.status, 200, charset);
+            assert.deepEqual(response.json().body, { name: 'hyper' });
+        }
+    });
+});
@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const assert = require('node:assert/strict');
+const { describe, it, before, after } = require('node:test');
+
+const BodyParser = require('..');
+const { start_server } = require('./harness.js');
+
+describe('verifiers', () => {
+    const secret = 'webhook-secret';
+    const sign = (body, key = secret) => 'sha256=' + crypto.createHmac('sha256', key).update(body).digest('hex');
+
+    // Signs a body as Stripe does with the HMAC-SHA256 of '<timestamp>.<body>' in the 'v1' field
+    const stripe_secret = 'whsec_5f4dcc3b5aa765d61d8327deb882cf99';
+    const stripe_sign = (timestamp, body, key = stripe_secret) =>
+        crypto.createHmac('sha256', key).update(`${timestamp}.${body}`).digest('hex');
+
+    let server;
+    before(async () => {
+        server = await start_server((app) => {
+            const verify = BodyParser.verifiers.all(
+                BodyParser.verifiers.timestamp({ header: 'x-timestamp', tolerance: 60 }),
+                BodyParser.verifiers.hmac({
+                    header: 'x-signature',
+                    secret: ['rotated-secret', secret],
+                    prefix: 'sha256=',
+                })
+            );
+            app.post('/', BodyParser.json({ verify }), (request, response) =>
+                response.json({ body: request.body, raw: request.rawBody.toString() })
+            );
+
+            // Verify webhooks signed in the format of Stripe's 'stripe-signature' header
+            const stripe = BodyParser.verifiers.all(
+                BodyParser.verifiers.timestamp({ header: 'stripe-signature', field: 't', tolerance: 300 }),
+                BodyParser.verifiers.hmac({
+                    header: 'stripe-signature',
+                    secret: stripe_secret,
+                    fields: { signature: 'v1', timestamp: 't' },
+                })
+            );
+            app.post('/stripe', BodyParser.json({ verify: stripe }), (request, response) =>
+                response.json({ body: request.body })
+            );
+        });
+    });
+    after(() => server.close());
+
+    const now = () => String(Math.floor(Date.now() / 1000));
+
+    it('accepts bodies with a valid signature from any of the secrets', async () => {
+        const body = '{"event":"push"}';
+        const response = await server.request({
+            headers: { 'content-type': 'application/json', 'x-timestamp': now(), 'x-signature': sign(body) },
+            body,
+        });
+        assert.equal(response.status, 200);
+        assert.deepEqual(response.json(), { body: { event: 'push' }, raw: body });
+    });
+
+    it('rejects bodies with an invalid or missing signature with 403', async () => {
+        const body = '{"event":"push"}';
+        for (const signature of [sign(body, 'wrong-secret'), sign('{"event":"pull"}'), undefined]) {
+            const headers = { 'content-type': 'application/json', 'x-timestamp': now() };
+            if (signature) headers['x-signature'] = signature;
+
+            const response = await server.request({ headers, body });
+            assert.equal(response.status, 403);
+            assert.equal(response.json().code, 'entity.verify.failed');
+        }
+    });
+
+    it('rejects bodies with a stale timestamp with 403', async () => {
+        const body = '{}';
+        const stale = String(Math.floor(Date.now() / 1000) - 3600);
+        const response = await server.request({
+            headers: { 'content-type': 'application/json', 'x-timestamp': stale, 'x-signature': sign(body) },
+            body,
+        });
+        assert.equal(response.status, 403);
+    });
+
+    it('verifies signatures and timestamps from the fields of a Stripe signature header', async () => {
+        const body = '{"id":"evt_1NG8Du2eZvKYlo2CUI79vXWy","type":"payment_intent.succeeded"}';
+        const timestamp = now();
+        const headers = { 'content-type': 'application/json' };
+
+        // Stripe sends a 'v0' field alongside the 'v1' signature and multiple 'v1' signatures while secrets are rolled
+        const valid = await server.request({
+            path: '/stripe',
+            headers: {
+                ...headers,
+                'stripe-signature': `t=${timestamp},v1=${stripe_sign(timestamp, body, 'whsec_rolled')},v1=${stripe_sign(
+                    timestamp,
+                    body
+                )},v0=6ffbb59b2300aae63f272406069a9788598b792a944a07aba816edb039989a39`,
+            },
+            body,
+        });
+        assert.equal(valid.status, 200);
+        assert.equal(valid.json().body.type, 'payment_intent.succeeded');
+
+        const stale = String(Number(timestamp) - 3600);
+        for (const signature of [
+            `t=${timestamp},v1=${stripe_sign(timestamp, body, 'whsec_wrong')}`,
+            `t=${Number(timestamp) + 1},v1=${stripe_sign(timestamp, body)}`,
+            `t=${stale},v1=${stripe_sign(stale, body)}`,
+            `v1=${stripe_sign(timestamp, body)}`,
+            `t=${timestamp},v0=${stripe_sign(timestamp, body)}`,
+        ]) {
+            const response = await server.request({
+                path: '/stripe',
+                headers: { ...headers, 'stripe-signature': signature },
+                body,
+            });
+            assert.equal(response.status, 403, signature);
+        }
+    });
+});